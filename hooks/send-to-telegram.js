@@ -1,13 +1,18 @@
 #!/usr/bin/env node
 
 /**
- * Claude Code Stop Hook - Sends Claude's response to Bridge
+ * Claude Code Hook - Sends Claude's response and permission prompts to Bridge
  *
- * This script is called by Claude Code when it finishes responding.
- * It reads the transcript, extracts the last assistant message, and sends it to the bridge.
+ * Stop: called when Claude finishes responding. Reads the transcript backwards
+ * to the last user prompt, rebuilds every assistant text block of the turn,
+ * summarizes the turn (tools, files, token usage) and sends it to the bridge.
+ * PreToolUse / Notification: forwarded to the bridge as-is so permission
+ * prompts can be answered from Telegram.
+ * PostToolUse: summarized ("Edited src/foo.js (+12/-3)") and sent as progress.
  */
 
 import fs from 'node:fs';
+import crypto from 'node:crypto';
 import path from 'node:path';
 import os from 'node:os';
 import readline from 'node:readline';
@@ -33,60 +38,294 @@ if (fs.existsSync(envPath)) {
 // Configuration
 const BRIDGE_URL = process.env.BRIDGE_URL || 'http://localhost:3007/hook';
 
+// Secret used to sign requests; the bridge generates it in ~/.claude on first start
+const HOOK_SECRET_FILE = path.join(os.homedir(), '.claude', 'telegram_hook_secret');
+
+// Progress verbosity: off, summary or full (the bridge applies the same setting)
+const PROGRESS_MODE = (process.env.PROGRESS_MODE || 'summary').trim().toLowerCase();
+
+// Opt-in: report images Claude wrote during the turn so the bridge can send them as photos
+const SEND_WRITTEN_IMAGES = process.env.SEND_WRITTEN_IMAGES === 'true';
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+
+// Bridge endpoints for events other than Stop
+const EVENT_ENDPOINTS = {
+  PreToolUse: `${BRIDGE_URL}/tool`,
+  Notification: `${BRIDGE_URL}/notification`
+};
+
+// Transcript chunk size when reading backwards
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Tools that modify the file at input.file_path (or notebook_path)
+const FILE_EDIT_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
 /**
- * Extract the last assistant message from transcript
+ * Yield the lines of a file from last to first, reading it in chunks from the end
  */
-function extractLastAssistantMessage(transcriptPath) {
-  if (!fs.existsSync(transcriptPath)) {
-    console.error('Transcript file not found:', transcriptPath);
-    return null;
-  }
-
-  const content = fs.readFileSync(transcriptPath, 'utf-8');
-  const lines = content.trim().split('\n');
+function* readLinesBackwards(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    // Bytes of a line that started before the current chunk
+    let carry = Buffer.alloc(0);
 
-  // Read from the end to find the last assistant message
-  for (let i = lines.length - 1; i >= 0; i--) {
-    try {
-      const entry = JSON.parse(lines[i]);
-
-      // Look for assistant message
-      if (entry.type === 'assistant' && entry.message) {
-        // Extract text content from the message
-        const textParts = [];
-
-        if (Array.isArray(entry.message.content)) {
-          for (const block of entry.message.content) {
-            if (block.type === 'text' && block.text) {
-              textParts.push(block.text);
-            }
-          }
-        } else if (typeof entry.message.content === 'string') {
-          textParts.push(entry.message.content);
-        }
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
 
-        if (textParts.length > 0) {
-          return textParts.join('\n');
+      // Splitting on the newline byte is safe in UTF-8
+      let buffer = Buffer.concat([chunk, carry]);
+      let newline = buffer.lastIndexOf(0x0a);
+      while (newline !== -1) {
+        const line = buffer.subarray(newline + 1).toString('utf-8');
+        if (line.trim()) {
+          yield line;
         }
+        buffer = buffer.subarray(0, newline);
+        newline = buffer.lastIndexOf(0x0a);
       }
+      carry = buffer;
+    }
+
+    const first = carry.toString('utf-8');
+    if (first.trim()) {
+      yield first;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check if a transcript entry is a prompt typed by the user (not a tool result)
+ */
+function isUserPrompt(entry) {
+  if (entry.type !== 'user' || entry.isMeta || !entry.message) {
+    return false;
+  }
+  const content = entry.message.content;
+  return typeof content === 'string' || (Array.isArray(content) && content.some(block => block.type === 'text'));
+}
+
+/**
+ * Read the entries of the last turn (everything after the last user prompt), oldest first
+ */
+function readLastTurn(transcriptPath) {
+  const entries = [];
+  for (const line of readLinesBackwards(transcriptPath)) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
     } catch (e) {
       // Skip invalid JSON lines
       continue;
     }
+    if (isUserPrompt(entry)) {
+      break;
+    }
+    entries.push(entry);
+  }
+  return entries.reverse();
+}
+
+/**
+ * Rebuild a turn from its transcript entries: the assistant text, a summary and written images.
+ * Returns { message, summary, images }.
+ */
+function extractTurn(transcriptPath, cwd) {
+  const entries = readLastTurn(transcriptPath);
+  const texts = [];
+  const tools = {};
+  const filesTouched = [];
+  const images = [];
+  // Streamed messages are split over several entries that repeat the same usage; keep one per message
+  const usageByMessage = new Map();
+
+  for (const entry of entries) {
+    if (entry.type !== 'assistant' || !entry.message) {
+      continue;
+    }
+
+    const content = entry.message.content;
+    if (typeof content === 'string' && content.trim()) {
+      texts.push(content);
+    }
+    for (const block of Array.isArray(content) ? content : []) {
+      if (block.type === 'text' && block.text && block.text.trim()) {
+        texts.push(block.text);
+      } else if (block.type === 'tool_use') {
+        tools[block.name] = (tools[block.name] || 0) + 1;
+        const filePath = block.input?.file_path || block.input?.notebook_path;
+        if (FILE_EDIT_TOOLS.includes(block.name) && filePath) {
+          const shown = relativePath(filePath, cwd);
+          if (!filesTouched.includes(shown)) {
+            filesTouched.push(shown);
+          }
+          if (block.name === 'Write' && IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && !images.includes(filePath)) {
+            images.push(filePath);
+          }
+        }
+      }
+    }
+
+    if (entry.message.usage) {
+      usageByMessage.set(entry.message.id || entry.uuid, entry.message.usage);
+    }
+  }
+
+  let usage = null;
+  if (usageByMessage.size > 0) {
+    usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 };
+    for (const u of usageByMessage.values()) {
+      usage.inputTokens += u.input_tokens || 0;
+      usage.outputTokens += u.output_tokens || 0;
+      usage.cacheReadTokens += u.cache_read_input_tokens || 0;
+      usage.cacheCreationTokens += u.cache_creation_input_tokens || 0;
+    }
+  }
+
+  const timestamps = entries.map(e => Date.parse(e.timestamp)).filter(t => !Number.isNaN(t));
+  const durationMs = timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : null;
+
+  return {
+    message: texts.join('\n\n'),
+    summary: { tools, filesTouched, usage, durationMs },
+    images
+  };
+}
+
+/**
+ * Show a path relative to the project when it is inside it
+ */
+function relativePath(filePath, cwd) {
+  if (!filePath) {
+    return '';
+  }
+  const rel = cwd ? path.relative(cwd, filePath) : filePath;
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel : filePath;
+}
+
+/**
+ * Count the lines of a string (0 for empty)
+ */
+function countLines(text) {
+  return text ? String(text).split('\n').length : 0;
+}
+
+/**
+ * Shorten a string to one line of at most `max` characters
+ */
+function oneLine(text, max = 80) {
+  const line = String(text || '').split('\n')[0].trim();
+  return line.length > max ? line.slice(0, max - 1) + '…' : line;
+}
+
+/**
+ * Summarize a PostToolUse event as { summary, detail }
+ */
+function summarizeToolUse(toolName, toolInput = {}, toolResponse, cwd) {
+  // Show paths relative to the project when possible
+  const relative = (filePath) => relativePath(filePath, cwd);
+
+  let summary;
+  let detail = null;
+
+  switch (toolName) {
+    case 'Edit': {
+      const added = countLines(toolInput.new_string);
+      const removed = countLines(toolInput.old_string);
+      summary = `Edited ${relative(toolInput.file_path)} (+${added}/-${removed})`;
+      break;
+    }
+    case 'MultiEdit': {
+      const edits = toolInput.edits || [];
+      const added = edits.reduce((sum, e) => sum + countLines(e.new_string), 0);
+      const removed = edits.reduce((sum, e) => sum + countLines(e.old_string), 0);
+      summary = `Edited ${relative(toolInput.file_path)} (+${added}/-${removed})`;
+      break;
+    }
+    case 'Write':
+      summary = `Wrote ${relative(toolInput.file_path)} (${countLines(toolInput.content)} lines)`;
+      break;
+    case 'Read':
+      summary = `Read ${relative(toolInput.file_path)}`;
+      break;
+    case 'Bash': {
+      summary = `Ran ${oneLine(toolInput.command)}`;
+      const output = toolResponse && typeof toolResponse === 'object'
+        ? [toolResponse.stdout, toolResponse.stderr].filter(Boolean).join('\n')
+        : String(toolResponse || '');
+      detail = `$ ${toolInput.command}` + (output.trim() ? `\n${output.trim().slice(-500)}` : '');
+      break;
+    }
+    case 'Grep':
+    case 'Glob':
+      summary = `Searched ${oneLine(toolInput.pattern)}`;
+      break;
+    case 'WebFetch':
+      summary = `Fetched ${oneLine(toolInput.url)}`;
+      break;
+    case 'WebSearch':
+      summary = `Searched the web for ${oneLine(toolInput.query)}`;
+      break;
+    case 'Task':
+      summary = `Ran subagent: ${oneLine(toolInput.description)}`;
+      break;
+    case 'TodoWrite':
+      summary = 'Updated todo list';
+      break;
+    default:
+      summary = `Used ${toolName}`;
+  }
+
+  if (detail === null && PROGRESS_MODE === 'full') {
+    detail = JSON.stringify(toolInput, null, 2).slice(0, 500);
   }
 
-  return null;
+  return { summary, detail: PROGRESS_MODE === 'full' ? detail : null };
 }
 
 /**
  * Send message to bridge
  */
-async function sendToBridge(message, cwd, sessionId) {
+async function sendToBridge(message, cwd, sessionId, images, summary) {
+  return postToBridge(BRIDGE_URL, { message, cwd, sessionId, images, summary });
+}
+
+/**
+ * Get the secret shared with the bridge (HOOK_SECRET or the file the bridge generated)
+ */
+function getHookSecret() {
+  if (process.env.HOOK_SECRET) {
+    return process.env.HOOK_SECRET.trim();
+  }
+  try {
+    return fs.readFileSync(HOOK_SECRET_FILE, 'utf-8').trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * POST a JSON payload to a bridge endpoint, signed with HMAC-SHA256 over "<timestamp>.<body>"
+ */
+async function postToBridge(url, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', getHookSecret()).update(`${timestamp}.${body}`).digest('hex');
+
   try {
-    const response = await fetch(BRIDGE_URL, {
+    const response = await fetch(url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message, cwd, sessionId })
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hook-Timestamp': timestamp,
+        'X-Hook-Signature': `sha256=${signature}`
+      },
+      body
     });
 
     const data = await response.json();
@@ -122,6 +361,31 @@ async function main() {
     process.exit(1);
   }
 
+  // PreToolUse / Notification: forward the hook input as-is
+  const eventUrl = EVENT_ENDPOINTS[hookInput.hook_event_name];
+  if (eventUrl) {
+    const result = await postToBridge(eventUrl, hookInput);
+    if (!result.ok) {
+      console.log('Bridge response:', result);
+    }
+    process.exit(0);
+  }
+
+  // PostToolUse: send a short progress summary
+  if (hookInput.hook_event_name === 'PostToolUse') {
+    if (PROGRESS_MODE !== 'off') {
+      const { summary, detail } = summarizeToolUse(hookInput.tool_name, hookInput.tool_input, hookInput.tool_response, hookInput.cwd);
+      await postToBridge(`${BRIDGE_URL}/progress`, {
+        sessionId: hookInput.session_id,
+        cwd: hookInput.cwd,
+        toolName: hookInput.tool_name,
+        summary,
+        detail
+      });
+    }
+    process.exit(0);
+  }
+
   // Check if this is a stop event
   if (hookInput.hook_event_name !== 'Stop') {
     process.exit(0);
@@ -141,16 +405,21 @@ async function main() {
   const cwd = hookInput.cwd || '未知目录';
   const sessionId = path.basename(transcriptPath, '.jsonl');
 
-  // Extract the last assistant message
-  const message = extractLastAssistantMessage(expandedPath);
+  if (!fs.existsSync(expandedPath)) {
+    console.error('Transcript file not found:', expandedPath);
+    process.exit(1);
+  }
+
+  // Rebuild the whole turn since the last user prompt
+  const { message, summary, images } = extractTurn(expandedPath, hookInput.cwd);
 
   if (!message) {
     console.log('No assistant message found in transcript');
     process.exit(0);
   }
 
-  // Send to bridge
-  const result = await sendToBridge(message, cwd, sessionId);
+  // Send to bridge (images written during the turn are opt-in)
+  const result = await sendToBridge(message, cwd, sessionId, SEND_WRITTEN_IMAGES ? images : undefined, summary);
 
   if (result.ok) {
     console.log('Message sent to bridge successfully');
@@ -0,0 +1,155 @@
+/**
+ * Role-based access control and audit log
+ *
+ * Roles are assigned per Telegram user ID in a JSON file:
+ *   { "admin": [123456789], "operator": [987654321], "viewer": [555555555] }
+ * The file is watched and reloaded when it changes. Without a roles file every
+ * user in an allowed chat is an admin, which matches the behaviour of a plain
+ * ALLOWED_CHAT_IDS setup.
+ *
+ * Every command, prompt and button press is appended to a JSONL audit log.
+ */
+
+import fs from 'node:fs';
+
+// Lowest to highest; each role includes the permissions of the ones before it
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Only the tail of the audit log is read when querying it
+const AUDIT_TAIL_BYTES = 512 * 1024;
+
+// Long prompts are shortened in the audit log
+const AUDIT_MAX_ACTION = 1000;
+
+/**
+ * Create the access controller for a roles file and an audit log file
+ */
+export function createAccessControl({ rolesFile, auditFile }) {
+  // userId -> role, or null when no roles file exists
+  let userRoles = null;
+
+  /**
+   * (Re)load the roles file; a broken file keeps the previous roles
+   */
+  function reload() {
+    if (!fs.existsSync(rolesFile)) {
+      if (userRoles !== null) {
+        console.log('Roles file removed, every allowed chat member is admin');
+      }
+      userRoles = null;
+      return;
+    }
+
+    try {
+      const config = JSON.parse(fs.readFileSync(rolesFile, 'utf-8'));
+      const loaded = new Map();
+      // Later (higher) roles win when a user is listed twice
+      for (const role of ROLES) {
+        for (const userId of config[role] || []) {
+          loaded.set(String(userId), role);
+        }
+      }
+      userRoles = loaded;
+      console.log(`Loaded roles for ${loaded.size} user(s) from ${rolesFile}`);
+    } catch (e) {
+      console.error('Failed to load roles file, keeping previous roles:', e.message);
+    }
+  }
+
+  /**
+   * Get a user's role, or null if the user has none
+   */
+  function getRole(userId) {
+    if (userRoles === null) {
+      return 'admin';
+    }
+    return userRoles.get(String(userId)) || null;
+  }
+
+  /**
+   * Check whether a user has at least the required role
+   */
+  function hasRole(userId, required) {
+    const role = getRole(userId);
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * List the configured users as [{ userId, role }] (empty without a roles file)
+   */
+  function listUsers() {
+    return userRoles === null
+      ? []
+      : [...userRoles].map(([userId, role]) => ({ userId, role }));
+  }
+
+  /**
+   * Append an entry to the audit log
+   */
+  function audit(entry) {
+    const action = String(entry.action || '');
+    const record = {
+      time: new Date().toISOString(),
+      ...entry,
+      action: action.length > AUDIT_MAX_ACTION ? action.slice(0, AUDIT_MAX_ACTION) + '…' : action
+    };
+    try {
+      fs.appendFileSync(auditFile, JSON.stringify(record) + '\n', 'utf-8');
+    } catch (e) {
+      console.error('Failed to write audit log:', e.message);
+    }
+  }
+
+  /**
+   * Read the most recent audit entries, newest last, optionally for one user
+   */
+  function readAudit({ limit = 20, userId = null } = {}) {
+    if (!fs.existsSync(auditFile)) {
+      return [];
+    }
+
+    let fd;
+    try {
+      fd = fs.openSync(auditFile, 'r');
+      const size = fs.fstatSync(fd).size;
+      const length = Math.min(size, AUDIT_TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+
+      // The first line may be cut off mid-entry; JSON.parse skips it below
+      const entries = [];
+      for (const line of buffer.toString('utf-8').split('\n')) {
+        try {
+          const entry = JSON.parse(line);
+          if (!userId || String(entry.userId) === String(userId)) {
+            entries.push(entry);
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+      return entries.slice(-limit);
+    } catch (e) {
+      console.error('Failed to read audit log:', e.message);
+      return [];
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  reload();
+  // Pick up edits to the roles file without a restart
+  fs.watchFile(rolesFile, { interval: 2000, persistent: false }, reload);
+
+  return {
+    getRole,
+    hasRole,
+    listUsers,
+    reload,
+    audit,
+    readAudit,
+    isConfigured: () => userRoles !== null
+  };
+}
@@ -1,9 +1,20 @@
 import http from 'node:http';
-import { execSync, spawnSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { getTerminalBackend } from './terminals/index.js';
+import { listSessions } from './sessions.js';
+import { createOutbox } from './outbox.js';
+import { escapeHtml, markdownToTelegramHtml } from './markdown.js';
+import { createAccessControl, ROLES } from './access.js';
+import { createGuardrails } from './guardrails.js';
+import { createScheduler } from './scheduler.js';
+import { createStateStore } from './state.js';
+import { createNotificationSettings, parseDuration, parseQuietHours } from './notifications.js';
 
 // Load .env file if exists
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -26,8 +37,58 @@ if (fs.existsSync(envPath)) {
 // Configuration from environment variables
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const PORT = parseInt(process.env.PORT || '3007', 10);
+
+// Bot API base URL (point it at a local fake server for testing)
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
 const WEZTERM_PANE_ID = process.env.WEZTERM_PANE_ID; // Optional: specific pane ID
 
+// Progress updates while Claude works: 'off', 'summary' (default) or 'full'
+const PROGRESS_MODE = (process.env.PROGRESS_MODE || 'summary').trim().toLowerCase();
+
+// Voice transcription: command template, {input} is replaced with the audio file path.
+// It is split into arguments and run without a shell (no pipes or redirects; use a script
+// for multi-step work). The command must print the transcript to stdout, e.g. a local whisper.cpp binary.
+const TRANSCRIBE_COMMAND = process.env.TRANSCRIBE_COMMAND || '';
+const TRANSCRIBE_TIMEOUT = parseInt(process.env.TRANSCRIBE_TIMEOUT || '120', 10) * 1000;
+
+// Photo/document uploads: saved under <pane cwd>/.telegram-inbox, or INBOX_DIR/pane-<id> if set
+const INBOX_DIR = process.env.INBOX_DIR || '';
+const INBOX_MAX_SIZE = parseFloat(process.env.INBOX_MAX_SIZE_MB || '20') * 1024 * 1024;
+const INBOX_ALLOWED_TYPES = (process.env.INBOX_ALLOWED_TYPES || 'image/*,text/*,application/pdf,application/json')
+  .split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+const INBOX_RETENTION_DAYS = parseFloat(process.env.INBOX_RETENTION_DAYS || '7');
+
+// Opt-in: send images Claude wrote during a turn (reported by the Stop hook) as photos
+const SEND_WRITTEN_IMAGES = process.env.SEND_WRITTEN_IMAGES === 'true';
+
+// Buttons under every Claude reply: built-in actions (continue, stop, screen, diff) and macro names; 'off' for none
+const QUICK_ACTIONS = (process.env.QUICK_ACTIONS ?? 'continue,stop,screen,diff')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => name && name !== 'off');
+
+// Context added to a prompt that replies to an earlier message: 'quote' (default, only the part
+// selected with Telegram's quote feature), 'full' (the whole replied-to message) or 'off'
+const REPLY_CONTEXT = (process.env.REPLY_CONTEXT || 'quote').trim().toLowerCase();
+
+// Bot API upload limits
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024;
+const MAX_PHOTO_SIZE = 10 * 1024 * 1024;
+
+// Terminal backend: 'wezterm' (default) or 'tmux'
+const TERMINAL_BACKEND = process.env.TERMINAL_BACKEND || 'wezterm';
+
+// Update mode: 'webhook' (default, needs a public URL) or 'polling' (getUpdates)
+const TELEGRAM_MODE = (process.env.TELEGRAM_MODE || 'webhook').trim().toLowerCase();
+const POLLING_TIMEOUT = 30; // seconds, long-poll timeout for getUpdates
+const POLLING_RETRY_DELAY = 5000; // ms to wait after a failed getUpdates call
+
+// Webhook mode: public URL registered with setWebhook on startup (optional, otherwise register it manually)
+const WEBHOOK_URL = process.env.WEBHOOK_URL || '';
+
+// Signed hook requests older (or newer) than this are rejected so they cannot be replayed
+const HOOK_MAX_SKEW = 5 * 60 * 1000;
+
 // Allowed chat IDs (comma-separated list, empty = allow all - NOT RECOMMENDED)
 const ALLOWED_CHAT_IDS = process.env.ALLOWED_CHAT_IDS
   ? process.env.ALLOWED_CHAT_IDS.split(',').map(id => id.trim()).filter(Boolean)
@@ -35,44 +96,243 @@ const ALLOWED_CHAT_IDS = process.env.ALLOWED_CHAT_IDS
 
 // Paths for state files
 const CLAUDE_DIR = path.join(os.homedir(), '.claude');
-const CHAT_ID_FILE = path.join(CLAUDE_DIR, 'telegram_chat_id');
-const PANE_ID_FILE = path.join(CLAUDE_DIR, 'telegram_pane_id');
+const STATE_FILE = process.env.STATE_FILE || path.join(CLAUDE_DIR, 'telegram_state.json');
+const OUTBOX_FILE = path.join(CLAUDE_DIR, 'telegram_outbox.json');
+const ROLES_FILE = process.env.ROLES_FILE || path.join(CLAUDE_DIR, 'telegram_roles.json');
+const AUDIT_LOG_FILE = path.join(CLAUDE_DIR, 'telegram_audit.jsonl');
+const GUARDRAILS_FILE = process.env.GUARDRAILS_FILE || path.join(CLAUDE_DIR, 'telegram_guardrails.json');
+const WEBHOOK_SECRET_FILE = path.join(CLAUDE_DIR, 'telegram_webhook_secret');
+const HOOK_SECRET_FILE = path.join(CLAUDE_DIR, 'telegram_hook_secret');
 
 // Telegram message limit
 const MAX_MESSAGE_LENGTH = 4000;
 
-// In-memory state
-let isMuted = false;
+// Space kept free in each chunk for the part marker and re-closed tags
+const CHUNK_RESERVE = 120;
+
+// Replies longer than this (in characters) are sent as a .md document instead of chunks
+const DOCUMENT_THRESHOLD = parseInt(process.env.DOCUMENT_THRESHOLD || '12000', 10);
+
+// Summary-only replies show at most this much of the first paragraph
+const SUMMARY_MAX_LENGTH = 1000;
 
 // Ensure .claude directory exists
 if (!fs.existsSync(CLAUDE_DIR)) {
   fs.mkdirSync(CLAUDE_DIR, { recursive: true });
 }
 
-// Selected pane ID (loaded from file or null)
-let selectedPaneId = null;
+// Chat and pane selection, bindings, notification settings and queued prompts (migrates the old dot-files on first start)
+const state = createStateStore({ file: STATE_FILE });
 
-// Load saved pane ID if exists
-if (fs.existsSync(PANE_ID_FILE)) {
+// Per-chat and per-session mute, quiet hours, summary-only mode and held-back replies
+const notifications = createNotificationSettings({ state });
+
+/**
+ * Read a secret from the environment or its file, generating and saving one on first run
+ */
+function loadSecret(envValue, file) {
+  if (envValue && envValue.trim()) {
+    return envValue.trim();
+  }
   try {
-    selectedPaneId = fs.readFileSync(PANE_ID_FILE, 'utf-8').trim();
-    console.log(`Loaded saved pane ID: ${selectedPaneId}`);
+    const saved = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim() : '';
+    if (saved) {
+      return saved;
+    }
   } catch (e) {
-    // ignore
+    // regenerate below
   }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  console.log(`Generated new secret in ${file}`);
+  return secret;
+}
+
+// Telegram sends this back in X-Telegram-Bot-Api-Secret-Token with every webhook update
+const WEBHOOK_SECRET = loadSecret(process.env.WEBHOOK_SECRET, WEBHOOK_SECRET_FILE);
+
+// Shared with the hook scripts, which sign every request to /hook with it
+const HOOK_SECRET = loadSecret(process.env.HOOK_SECRET, HOOK_SECRET_FILE);
+
+// Selected pane ID (null until /setpane)
+let selectedPaneId = state.get('paneId');
+if (selectedPaneId !== null) {
+  console.log(`Loaded saved pane ID: ${selectedPaneId}`);
+}
+
+// Terminal backend used to list panes and type into them
+let terminal;
+try {
+  terminal = getTerminalBackend(TERMINAL_BACKEND);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
 }
 
 // Blocked commands that require interactive input
 const BLOCKED_COMMANDS = ['/mcp', '/help', '/config', '/settings', '/model', '/vim', '/terminal-setup'];
 
-// Typing indicator state
-let typingInterval = null;
+// Minimum role per command; anything not listed (and every prompt, voice message or upload) needs operator.
+// A "/command subcommand" entry overrides the command's own role for that subcommand.
+const COMMAND_ROLES = {
+  '/start': 'viewer',
+  '/help': 'viewer',
+  '/panes': 'admin',
+  '/setpane': 'admin',
+  '/bind': 'admin',
+  '/unbind': 'admin',
+  '/clear': 'admin',
+  '/mute': 'admin',
+  '/unmute': 'admin',
+  '/quiet': 'admin',
+  '/summary': 'admin',
+  '/missed': 'viewer',
+  '/refresh': 'admin',
+  '/audit': 'admin',
+  '/roles': 'admin',
+  // Adding or deleting a macro changes the bot's command menu
+  '/macro': 'admin',
+  '/macro list': 'operator'
+};
+
+// Subcommand a command runs when given none, so its role is looked up the same way
+const DEFAULT_SUBCOMMANDS = {
+  '/macro': 'list'
+};
+
+// Entries shown by /audit by default and at most
+const AUDIT_DEFAULT_ENTRIES = 20;
+const AUDIT_MAX_ENTRIES = 100;
+
+// Prompts waiting for a Send/Cancel answer (id -> { chatId, threadId, text, paneId, user, rule, scheduleName, sessionId, timer })
+const pendingPrompts = new Map();
+let nextPendingPromptId = 1;
+
+// Last tool call seen per session (from PreToolUse hooks), shown with permission prompts
+const pendingToolCalls = new Map();
+
+// Permission prompt answers: keystrokes that pick the option in Claude Code's menu
+const PERMISSION_ACTIONS = {
+  allow: { text: '1', label: '✅ 已允许' },
+  always: { text: '2', label: '✅ 已允许（不再询问）' },
+  deny: { keys: ['Escape'], label: '❌ 已拒绝' }
+};
+
+// Sessions shown per page in the /resume picker
+const RESUME_PAGE_SIZE = 6;
+
+// /screen output longer than this is sent as a file instead of a <pre> block
+const SCREEN_INLINE_LIMIT = 3500;
+
+// /watch refresh interval and maximum duration
+const WATCH_INTERVAL = 5000;
+const WATCH_TIMEOUT = 10 * 60 * 1000;
+
+// Active /watch loops per chat/topic: { timer, messageId, paneId, lastText, startedAt }
+const watches = new Map();
+
+// Progress message per session for the current turn:
+// { chatId, threadId, cwd, messageId, lines, dirty, timer, pending }
+const progressMessages = new Map();
+
+// Minimum delay between edits of a progress message (Telegram rate-limits edits)
+const PROGRESS_EDIT_INTERVAL = 2000;
+
+// Steps kept in a progress message (older ones are summarized as a count)
+const PROGRESS_MAX_LINES = 30;
+
+// Working directory reported by the last Stop hook for each pane (used by /diff and /git)
+const paneHookCwds = new Map();
+
+// Session each pane is on, from its last Stop hook or /resume, cleared by /clear (used by
+// /mute session and reply routing); saved so a restart does not resume a session the pane is already on
+const paneHookSessions = new Map(Object.entries(state.get('paneSessions')));
+
+// Diffs longer than this are sent as a .patch file instead of messages
+const DIFF_INLINE_LIMIT = 12000;
+
+// Canned prompts behind the buttons under /diff
+const GIT_ACTION_PROMPTS = {
+  commit: 'Review the uncommitted changes in this repository and commit them with a clear, descriptive commit message.',
+  revert: 'Revert all uncommitted changes in this repository so the working tree matches HEAD. List what you discarded.'
+};
+
+// Labels of the built-in quick-action buttons under Claude's replies (callback data qa:<action>)
+const QUICK_ACTION_LABELS = {
+  continue: '▶️ 继续',
+  stop: '⏹ 中断',
+  screen: '🖥 屏幕',
+  diff: '📝 Diff'
+};
+
+// Prompt sent by the Continue button
+const CONTINUE_PROMPT = 'continue';
+
+// Quick-action buttons per keyboard row
+const QUICK_ACTIONS_PER_ROW = 4;
+
+// Typing indicator state (one loop per chat/topic)
+const typingIntervals = new Map();
+
+// Panes with a running turn: paneId -> time the prompt was sent (cleared by the Stop hook)
+const busyPanes = new Map();
+
+// A pane still marked busy after this long is treated as idle (e.g. the Stop hook never arrived)
+const BUSY_TIMEOUT = 30 * 60 * 1000;
+
+// Delay before typing a queued prompt after the pane goes idle
+const QUEUE_DRAIN_DELAY = 1000;
+
+// Time Claude Code gets to load a session after /resume before the prompt is typed
+const RESUME_DELAY = 3000;
+
+// Quoted context added to a reply prompt is cut to this many characters
+const REPLY_QUOTE_MAX_LENGTH = 2000;
+
+// Sent messages whose pane and session are remembered for reply routing
+const MAX_MESSAGE_CONTEXTS = 1000;
+
+// Name of the schedule whose prompt is running in a pane, shown on the reply
+const paneScheduleTags = new Map();
+
+// Prompts waiting for their pane to go idle: [{ id, paneId, chatId, threadId, text, scheduleName, sessionId, queuedAt }]
+let promptQueue = state.get('promptQueue');
+let nextQueuedPromptId = promptQueue.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+// A prompt queued before a restart means its pane was busy; the next Stop hook
+// (or BUSY_TIMEOUT) releases it
+for (const entry of promptQueue) {
+  busyPanes.set(entry.paneId, Date.now());
+}
+if (promptQueue.length > 0) {
+  console.log(`Loaded ${promptQueue.length} queued prompt(s)`);
+}
+
+// Routing table: binds panes to a chat or forum topic
+// Each route: { paneId, chatId, threadId, cwd, sessionId }
+let routes = state.get('routes');
+if (routes.length > 0) {
+  console.log(`Loaded ${routes.length} pane binding(s)`);
+}
+
+// Saved prompt macros (name -> text with {{1}}, {{args}} and {{cwd}} placeholders)
+let macros = state.get('macros');
+if (Object.keys(macros).length > 0) {
+  console.log(`Loaded ${Object.keys(macros).length} macro(s)`);
+}
+
+/**
+ * Build the Bot API URL for a method
+ */
+function telegramApiUrl(method) {
+  return `${TELEGRAM_API_URL}/bot${BOT_TOKEN}/${method}`;
+}
 
 /**
  * Make a request to the Telegram Bot API
  */
 async function telegramApi(method, body = {}) {
-  const url = `https://api.telegram.org/bot${BOT_TOKEN}/${method}`;
+  const url = telegramApiUrl(method);
 
   try {
     const response = await fetch(url, {
@@ -93,118 +353,341 @@ async function telegramApi(method, body = {}) {
 }
 
 /**
- * Convert Markdown to Telegram HTML
+ * Download a file sent to the bot. Returns { buffer, filePath } or throws.
  */
-function markdownToTelegramHtml(text) {
-  let result = text;
+async function downloadTelegramFile(fileId) {
+  const result = await telegramApi('getFile', { file_id: fileId });
+  if (!result.ok) {
+    throw new Error(result.description || result.error || 'getFile failed');
+  }
 
-  // Escape HTML special characters first (except in code blocks)
-  const escapeHtml = (str) => str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+  const filePath = result.result.file_path;
+  const response = await fetch(`${TELEGRAM_API_URL}/file/bot${BOT_TOKEN}/${filePath}`);
+  if (!response.ok) {
+    throw new Error(`下载失败 (HTTP ${response.status})`);
+  }
+  return { buffer: Buffer.from(await response.arrayBuffer()), filePath };
+}
 
-  // Extract code blocks first to protect them (use unique placeholders)
-  const codeBlocks = [];
-  result = result.replace(/```(\w*)\n?([\s\S]*?)```/g, (match, lang, code) => {
-    const index = codeBlocks.length;
-    codeBlocks.push(`<pre><code>${escapeHtml(code.trim())}</code></pre>`);
-    return `<<<CODEBLOCK${index}>>>`;
-  });
+/**
+ * Upload a file to the Telegram Bot API (multipart/form-data)
+ */
+async function telegramUpload(method, fields, fileField, fileName, content) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) {
+      // Objects such as reply_markup are sent as JSON strings
+      form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+  form.append(fileField, new Blob([content]), fileName);
 
-  // Extract inline code (use unique placeholders)
-  const inlineCodes = [];
-  result = result.replace(/`([^`]+)`/g, (match, code) => {
-    const index = inlineCodes.length;
-    inlineCodes.push(`<code>${escapeHtml(code)}</code>`);
-    return `<<<INLINECODE${index}>>>`;
-  });
+  try {
+    const response = await fetch(telegramApiUrl(method), {
+      method: 'POST',
+      body: form
+    });
+
+    const data = await response.json();
+    if (!data.ok) {
+      console.error(`Telegram API error: ${data.description}`);
+    }
+    return data;
+  } catch (error) {
+    console.error(`Telegram upload failed: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Remove ANSI escape sequences (colors, cursor movement, OSC titles) from terminal output
+ */
+function stripAnsi(str) {
+  return str
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b[@-Z\\-_]/g, '');
+}
 
-  // Now escape HTML in the remaining text
-  result = escapeHtml(result);
+/**
+ * Check whether cutting HTML at index would split a tag or an entity
+ */
+function isSafeCut(html, index) {
+  const head = html.slice(0, index);
+  if (head.lastIndexOf('<') > head.lastIndexOf('>')) {
+    return false;
+  }
+  const amp = head.lastIndexOf('&');
+  return amp === -1 || head.lastIndexOf(';') > amp || /\s/.test(head.slice(amp));
+}
 
-  // Convert markdown formatting
-  result = result.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');  // Bold
-  result = result.replace(/\*(.+?)\*/g, '<i>$1</i>');      // Italic
-  result = result.replace(/__(.+?)__/g, '<u>$1</u>');      // Underline
-  result = result.replace(/~~(.+?)~~/g, '<s>$1</s>');      // Strikethrough
+/**
+ * Find the best index to cut HTML at, preferring paragraph and code-block boundaries
+ */
+function findCutIndex(html, limit, minIndex) {
+  const window = html.slice(0, limit);
+  const floor = Math.max(minIndex, Math.floor(limit / 2));
+
+  // Paragraph or code-block boundary in the second half of the window
+  const blockCuts = [
+    window.lastIndexOf('\n\n'),
+    window.lastIndexOf('<pre>'),
+    window.lastIndexOf('</pre>') + '</pre>'.length
+  ].filter(index => index > floor && isSafeCut(html, index));
+  if (blockCuts.length > 0) {
+    return Math.max(...blockCuts);
+  }
 
-  // Restore code blocks and inline code
-  codeBlocks.forEach((block, index) => {
-    result = result.replace(`&lt;&lt;&lt;CODEBLOCK${index}&gt;&gt;&gt;`, block);
-  });
+  // Otherwise a line break, then a space
+  for (const separator of ['\n', ' ']) {
+    let index = window.lastIndexOf(separator);
+    while (index > minIndex && !isSafeCut(html, index)) {
+      index = window.lastIndexOf(separator, index - 1);
+    }
+    if (index > minIndex) {
+      return index;
+    }
+  }
 
-  inlineCodes.forEach((code, index) => {
-    result = result.replace(`&lt;&lt;&lt;INLINECODE${index}&gt;&gt;&gt;`, code);
-  });
+  // Hard cut, moved back before any tag or entity it would split
+  let index = limit;
+  while (index > minIndex + 1 && !isSafeCut(html, index)) {
+    index--;
+  }
+  return index > minIndex + 1 ? index : limit;
+}
 
-  return result;
+/**
+ * Get the tags still open at the end of an HTML fragment (full opening tags, outermost first)
+ */
+function getOpenTags(html) {
+  const stack = [];
+  for (const match of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/gi)) {
+    const [tag, closing, name] = match;
+    if (!closing) {
+      stack.push({ name: name.toLowerCase(), tag });
+      continue;
+    }
+    const index = stack.map(t => t.name).lastIndexOf(name.toLowerCase());
+    if (index !== -1) {
+      stack.splice(index, 1);
+    }
+  }
+  return stack;
 }
 
 /**
- * Send a message to Telegram
+ * Split Telegram HTML into chunks that fit the message limit.
+ * Tags open at a chunk edge are closed and reopened in the next chunk,
+ * and "(1/3)" part markers are added when more than one chunk is needed.
  */
-async function sendMessage(chatId, text, options = {}) {
-  return telegramApi('sendMessage', {
-    chat_id: chatId,
-    text: text.slice(0, MAX_MESSAGE_LENGTH),
-    parse_mode: options.parseMode || 'HTML',
-    ...options
-  });
+function splitHtmlMessage(html, maxLength = MAX_MESSAGE_LENGTH) {
+  const budget = maxLength - CHUNK_RESERVE;
+  const chunks = [];
+  let remaining = html;
+  let reopen = '';
+
+  while (remaining.length > 0) {
+    const body = reopen + remaining;
+    if (body.length <= budget) {
+      chunks.push(body);
+      break;
+    }
+
+    const cut = findCutIndex(body, budget, reopen.length);
+    const head = body.slice(0, cut);
+    const openTags = getOpenTags(head);
+    const closing = openTags.slice().reverse().map(t => `</${t.name}>`).join('');
+
+    chunks.push(head.replace(/\s+$/, '') + closing);
+    reopen = openTags.map(t => t.tag).join('');
+    remaining = body.slice(cut).replace(/^\n+/, '');
+  }
+
+  if (chunks.length <= 1) {
+    return chunks;
+  }
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length})\n${chunk}`);
 }
 
 /**
- * Send a message with HTML, fallback to plain text if parsing fails
+ * Send a message to Telegram (long text is split into several messages)
  */
-async function sendMessageWithFallback(chatId, text, parseMode = 'HTML') {
-  const result = await telegramApi('sendMessage', {
-    chat_id: chatId,
-    text: text.slice(0, MAX_MESSAGE_LENGTH),
-    parse_mode: parseMode
-  });
+async function sendMessage(chatId, text, options = {}) {
+  let result = { ok: true };
+  const chunks = splitHtmlMessage(text);
+  // Buttons go under the last part only
+  const { reply_markup: replyMarkup, ...chunkOptions } = options;
 
-  // If HTML parsing fails, retry with plain text
-  if (!result.ok && parseMode === 'HTML') {
-    console.error('HTML parse failed, retrying as plain text');
-    return telegramApi('sendMessage', {
+  for (const [index, chunk] of chunks.entries()) {
+    result = await telegramApi('sendMessage', {
       chat_id: chatId,
-      text: text.slice(0, MAX_MESSAGE_LENGTH)
+      text: chunk,
+      parse_mode: options.parseMode || 'HTML',
+      ...(index === chunks.length - 1 ? options : chunkOptions)
     });
+    if (!result.ok) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Send text content as a document attachment
+ */
+async function sendDocument(chatId, fileName, content, caption, extra = {}) {
+  return telegramUpload('sendDocument', {
+    chat_id: chatId,
+    caption,
+    parse_mode: caption ? 'HTML' : undefined,
+    ...extra
+  }, 'document', fileName, content);
+}
+
+/**
+ * Build the extra sendMessage fields that target a forum topic
+ */
+function threadOptions(threadId) {
+  return threadId ? { message_thread_id: threadId } : {};
+}
+
+/**
+ * Deliver one outbound queue job (falls back to plain text if Telegram rejects the HTML)
+ */
+async function deliverQueuedJob(job) {
+  if (job.file) {
+    const content = job.file.path ? fs.readFileSync(job.file.path) : Buffer.from(job.file.data, 'base64');
+    return telegramUpload(job.method, job.body, job.file.field, job.file.name, content);
   }
 
+  const result = await telegramApi(job.method, job.body);
+  if (!result.ok && result.error_code === 400 && job.body.parse_mode && /parse entities/i.test(result.description || '')) {
+    console.error('HTML parse failed, retrying as plain text');
+    const { parse_mode: parseMode, ...plainBody } = job.body;
+    return telegramApi(job.method, plainBody);
+  }
   return result;
 }
 
+/**
+ * Remember which pane and session produced a sent message, so replies to it can go back there
+ */
+function rememberMessageContext(chatId, messageId, context) {
+  state.update(current => {
+    current.messageContexts[`${chatId}:${messageId}`] = { ...context, time: Date.now() };
+    // Keys keep insertion order, so the oldest entries come first
+    const keys = Object.keys(current.messageContexts);
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_MESSAGE_CONTEXTS))) {
+      delete current.messageContexts[key];
+    }
+  });
+}
+
+/**
+ * Get the pane and session that produced a message ({ paneId, sessionId, cwd }), or null
+ */
+function getMessageContext(chatId, messageId) {
+  return state.get('messageContexts')[`${chatId}:${messageId}`] || null;
+}
+
+// Persistent queue for Claude replies (retries, rate limits, survives restarts);
+// jobs carrying a reply's pane and session record the ID of the sent message
+const outbox = createOutbox({
+  file: OUTBOX_FILE,
+  send: deliverQueuedJob,
+  onSent: (job, message) => {
+    if (job.meta && message?.message_id) {
+      rememberMessageContext(job.chatId, message.message_id, job.meta);
+    }
+  }
+});
+
+/**
+ * Queue a message for reliable delivery (split into chunks like sendMessage)
+ */
+function queueMessage(chatId, text, extra = {}, meta = null) {
+  const chunks = splitHtmlMessage(text);
+  // Buttons go under the last part only
+  const { reply_markup: replyMarkup, ...chunkExtra } = extra;
+  chunks.forEach((chunk, index) => {
+    outbox.enqueue({
+      chatId,
+      method: 'sendMessage',
+      body: { chat_id: chatId, text: chunk, parse_mode: 'HTML', ...(index === chunks.length - 1 ? extra : chunkExtra) },
+      meta
+    });
+  });
+}
+
+/**
+ * Queue a text document for reliable delivery
+ */
+function queueDocument(chatId, fileName, content, caption, extra = {}, meta = null) {
+  outbox.enqueue({
+    chatId,
+    method: 'sendDocument',
+    body: { chat_id: chatId, caption, parse_mode: 'HTML', ...extra },
+    file: { field: 'document', name: fileName, data: Buffer.from(content).toString('base64') },
+    meta
+  });
+}
+
+/**
+ * Queue an image file on disk for reliable delivery (as a photo, or a document for SVG/large files)
+ */
+function queuePhotoFile(chatId, filePath, caption, extra = {}, meta = null) {
+  const asDocument = path.extname(filePath).toLowerCase() === '.svg' || fs.statSync(filePath).size > MAX_PHOTO_SIZE;
+  const field = asDocument ? 'document' : 'photo';
+  outbox.enqueue({
+    chatId,
+    method: asDocument ? 'sendDocument' : 'sendPhoto',
+    body: { chat_id: chatId, caption, parse_mode: 'HTML', ...extra },
+    file: { field, name: path.basename(filePath), path: filePath },
+    meta
+  });
+}
+
 /**
  * Start typing indicator loop
  */
-function startTypingLoop(chatId) {
-  stopTypingLoop();
+function startTypingLoop(chatId, threadId = null) {
+  const key = `${chatId}:${threadId || ''}`;
+  stopTypingLoop(chatId, threadId);
 
-  const sendTyping = () => telegramApi('sendChatAction', { chat_id: chatId, action: 'typing' });
+  const sendTyping = () => telegramApi('sendChatAction', { chat_id: chatId, action: 'typing', ...threadOptions(threadId) });
   sendTyping();
-  typingInterval = setInterval(sendTyping, 5000);
+  typingIntervals.set(key, setInterval(sendTyping, 5000));
 }
 
 /**
- * Stop typing indicator loop
+ * Stop typing indicator loop (all loops when no chat is given)
  */
-function stopTypingLoop() {
-  if (typingInterval) {
-    clearInterval(typingInterval);
-    typingInterval = null;
+function stopTypingLoop(chatId, threadId = null) {
+  if (chatId === undefined) {
+    for (const interval of typingIntervals.values()) {
+      clearInterval(interval);
+    }
+    typingIntervals.clear();
+    return;
+  }
+
+  const key = `${chatId}:${threadId || ''}`;
+  if (typingIntervals.has(key)) {
+    clearInterval(typingIntervals.get(key));
+    typingIntervals.delete(key);
   }
 }
 
 /**
- * Get list of WezTerm panes
+ * Get list of terminal panes
  */
-function getWeztermPanes() {
+function getPanes() {
   try {
-    const output = execSync('wezterm cli list --format json', { encoding: 'utf-8' });
-    return JSON.parse(output);
+    return terminal.listPanes();
   } catch (error) {
-    console.error('Failed to list WezTerm panes:', error.message);
+    console.error(`Failed to list ${terminal.displayName} panes:`, error.message);
     return [];
   }
 }
@@ -213,8 +696,8 @@ function getWeztermPanes() {
  * Save selected pane ID to file
  */
 function saveSelectedPaneId(paneId) {
-  selectedPaneId = paneId;
-  fs.writeFileSync(PANE_ID_FILE, paneId.toString(), 'utf-8');
+  selectedPaneId = paneId.toString();
+  state.set('paneId', selectedPaneId);
 }
 
 /**
@@ -222,17 +705,15 @@ function saveSelectedPaneId(paneId) {
  */
 function clearSelectedPaneId() {
   selectedPaneId = null;
-  if (fs.existsSync(PANE_ID_FILE)) {
-    fs.unlinkSync(PANE_ID_FILE);
-  }
+  state.set('paneId', null);
 }
 
 /**
  * Check if a pane ID exists in current panes
  */
 function paneExists(paneId) {
-  const panes = getWeztermPanes();
-  return panes.some(p => String(p.pane_id) === String(paneId));
+  const panes = getPanes();
+  return panes.some(p => p.id === String(paneId));
 }
 
 /**
@@ -260,7 +741,7 @@ function findClaudePaneId() {
 }
 
 /**
- * Check if WezTerm/Claude session exists
+ * Check if terminal/Claude session exists
  */
 function sessionExists() {
   const paneId = findClaudePaneId();
@@ -268,378 +749,2729 @@ function sessionExists() {
 }
 
 /**
- * Send text to WezTerm pane (with fresh validation)
+ * Send text to a terminal pane followed by Enter (with fresh validation).
+ * Defaults to the globally selected pane.
  */
-function weztermSendText(text) {
+function sendTextToPane(text, paneId = findClaudePaneId()) {
   // Always get fresh pane data before sending
-  const panes = getWeztermPanes();
+  const panes = getPanes();
 
   if (panes.length === 0) {
     clearSelectedPaneId();
-    throw new Error('WezTerm 未运行或无法连接，请重新启动 WezTerm');
+    throw new Error(`${terminal.displayName} 未运行或无法连接，请重新启动 ${terminal.displayName}`);
   }
 
-  const paneId = findClaudePaneId();
-
   if (!paneId) {
     throw new Error('未选择窗格，请先使用 /setpane 选择');
   }
 
   // Double-check pane exists in fresh data
-  const paneStillExists = panes.some(p => String(p.pane_id) === String(paneId));
+  const paneStillExists = panes.some(p => p.id === String(paneId));
   if (!paneStillExists) {
-    clearSelectedPaneId();
-    throw new Error(`窗格 ${paneId} 已不存在（WezTerm 可能已重启），请使用 /panes 查看并重新选择`);
+    if (String(paneId) === String(selectedPaneId)) {
+      clearSelectedPaneId();
+    }
+    throw new Error(`窗格 ${paneId} 已不存在（${terminal.displayName} 可能已重启），请使用 /panes 查看并重新选择`);
   }
 
   try {
-    // Escape double quotes for cmd
-    const escapedText = text.replace(/"/g, '""');
-
-    // Send text directly as argument (no pipe, no extra newline)
-    execSync(`wezterm cli send-text --pane-id ${paneId} --no-paste "${escapedText}"`, {
-      encoding: 'utf-8'
-    });
-
-    // Send Enter key using PowerShell's `r (carriage return)
-    execSync(`powershell -NoProfile -Command "wezterm cli send-text --pane-id ${paneId} --no-paste \"\`r\""`, {
-      encoding: 'utf-8'
-    });
-
+    terminal.sendText(paneId, text);
+    terminal.sendKeys(paneId, ['Enter']);
     return true;
   } catch (error) {
-    console.error('Failed to send text to WezTerm:', error.message);
+    console.error(`Failed to send text to ${terminal.displayName}:`, error.message);
     throw error;
   }
 }
 
 /**
- * Send Escape key to WezTerm pane
+ * Send Escape key to a terminal pane (defaults to the selected pane)
  */
-function weztermSendEscape() {
-  const paneId = findClaudePaneId();
-
+function sendEscapeToPane(paneId = findClaudePaneId()) {
   if (!paneId) {
     return false;
   }
 
   try {
-    // Send Escape character using PowerShell escape sequence `e
-    execSync(`powershell -NoProfile -Command "wezterm cli send-text --pane-id ${paneId} --no-paste \"\`e\""`, {
-      encoding: 'utf-8'
-    });
+    terminal.sendKeys(paneId, ['Escape']);
     return true;
   } catch (error) {
-    console.error('Failed to send Escape to WezTerm:', error.message);
+    console.error(`Failed to send Escape to ${terminal.displayName}:`, error.message);
     return false;
   }
 }
 
 /**
- * Save chat ID for the stop hook to use
+ * Persist the routing table
  */
-function saveChatId(chatId) {
-  fs.writeFileSync(CHAT_ID_FILE, chatId.toString(), 'utf-8');
+function saveRoutes() {
+  state.set('routes', routes);
 }
 
 /**
- * Get the current chat ID
+ * Normalize a working directory so hook and terminal paths compare equal
  */
-function getChatId() {
-  if (!fs.existsSync(CHAT_ID_FILE)) {
-    return null;
-  }
-  try {
-    return fs.readFileSync(CHAT_ID_FILE, 'utf-8').trim();
-  } catch (e) {
+function normalizeCwd(cwd) {
+  if (!cwd) {
     return null;
   }
+  const normalized = cwd.replace(/\\/g, '/').replace(/\/+$/, '');
+  return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
 }
 
 /**
- * Check if a chat ID is authorized
+ * Find the route bound to a chat or forum topic
  */
-function isAuthorized(chatId) {
-  // If no whitelist configured, reject all (security by default)
-  if (ALLOWED_CHAT_IDS.length === 0) {
-    return false;
-  }
-  return ALLOWED_CHAT_IDS.includes(String(chatId));
+function findRoute(chatId, threadId = null) {
+  return routes.find(r => String(r.chatId) === String(chatId) && (r.threadId || null) === (threadId || null)) || null;
 }
 
 /**
- * Setup bot commands in Telegram
+ * Bind a pane to a chat or forum topic (one pane per target, one target per pane)
  */
-async function setupBotCommands() {
-  const commands = [
-    { command: 'panes', description: '列出所有 WezTerm 窗格' },
-    { command: 'setpane', description: '设置活动窗格 (例如: /setpane 3)' },
-    { command: 'status', description: '检查当前状态' },
-    { command: 'stop', description: '中断 Claude（发送 Escape）' },
-    { command: 'clear', description: '清除对话上下文' },
-    { command: 'resume', description: '恢复之前的会话' },
-    { command: 'mute', description: '静音 - 不接收 Claude 回复' },
-    { command: 'unmute', description: '取消静音 - 接收 Claude 回复' },
-    { command: 'refresh', description: '刷新机器人命令' },
-    { command: 'help', description: '显示帮助信息' }
-  ];
+function bindPane(paneId, chatId, threadId = null, cwd = null) {
+  const existing = findRoute(chatId, threadId);
+  routes = routes.filter(r => r.paneId !== String(paneId) && r !== existing);
+  const route = { paneId: String(paneId), chatId: String(chatId), threadId: threadId || null, cwd, sessionId: null };
+  routes.push(route);
+  saveRoutes();
+  return route;
+}
 
-  const result = await telegramApi('setMyCommands', { commands });
-  if (result.ok) {
-    console.log('Bot commands registered successfully');
-  } else {
-    console.error('Failed to register bot commands:', result);
+/**
+ * Remove the binding of a chat or forum topic
+ */
+function unbindPane(chatId, threadId = null) {
+  const route = findRoute(chatId, threadId);
+  if (!route) {
+    return null;
   }
+  routes = routes.filter(r => r !== route);
+  saveRoutes();
+  return route;
 }
 
 /**
- * Handle incoming bot commands
+ * Get the pane a chat or topic talks to: its bound pane, else the selected pane
  */
-async function handleCommand(chatId, command, args) {
-  saveChatId(chatId);
-
-  switch (command) {
-    case '/start':
-    case '/help':
-      await sendMessage(chatId, `
-<b>Claude Code Telegram 桥接器</b>
-
-<b>窗格管理:</b>
-/panes - 列出所有 WezTerm 窗格
-/setpane &lt;id&gt; - 设置活动窗格
-
-<b>会话控制:</b>
-/status - 检查会话状态
-/stop - 中断 Claude（Escape）
-/clear - 清除对话
-/resume - 恢复之前的会话
-
-<b>通知控制:</b>
-/mute - 静音（不接收 Claude 回复）
-/unmute - 取消静音
-
-<b>使用方法:</b>
-直接发送消息即可与 Claude Code 对话！
+function getTargetPaneId(chatId, threadId = null) {
+  const route = findRoute(chatId, threadId);
+  return route ? route.paneId : findClaudePaneId();
+}
 
-<b>注意:</b> 请先用 /panes 查看并用 /setpane 选择正确的窗格。
-      `.trim());
-      break;
+/**
+ * Get the working directory of a pane (live from the terminal, else from its binding)
+ */
+function getPaneCwd(paneId) {
+  const pane = getPanes().find(p => p.id === String(paneId));
+  if (pane?.cwd) {
+    return pane.cwd;
+  }
+  const route = routes.find(r => r.paneId === String(paneId));
+  return route ? route.cwd : null;
+}
 
-    case '/panes': {
-      const panes = getWeztermPanes();
-      if (panes.length === 0) {
-        await sendMessage(chatId, '❌ 没有找到 WezTerm 窗格\n\n请确保 WezTerm 正在运行。');
-        break;
-      }
+/**
+ * Find the pane a hook came from: its bound pane, the pane last seen on its
+ * session, a pane working in its cwd, the only pane with a running turn, and
+ * only then the selected pane
+ */
+function findPaneForHook(route, sessionId, cwd) {
+  if (route) {
+    return route.paneId;
+  }
 
-      const currentPaneId = findClaudePaneId();
-      let message = '<b>WezTerm 窗格列表:</b>\n\n';
+  const panes = getPanes();
+  if (sessionId) {
+    const pane = panes.find(p => paneHookSessions.get(p.id) === sessionId);
+    if (pane) {
+      return pane.id;
+    }
+  }
 
-      for (const pane of panes) {
-        const isSelected = String(pane.pane_id) === String(currentPaneId);
-        const marker = isSelected ? ' ✅' : '';
-        const title = pane.title || '(无标题)';
-        message += `<b>${pane.pane_id}</b>${marker} - ${title}\n`;
-      }
+  const hookCwd = normalizeCwd(cwd);
+  const matches = hookCwd ? panes.filter(p => normalizeCwd(p.cwd) === hookCwd) : [];
+  if (matches.length > 0) {
+    // Several panes in the same directory: prefer one with a running turn, then the selected one
+    const busy = matches.filter(p => isPaneBusy(p.id));
+    const candidates = busy.length > 0 ? busy : matches;
+    return (candidates.find(p => p.id === selectedPaneId) || candidates[0]).id;
+  }
 
-      message += '\n使用 /setpane &lt;id&gt; 选择窗格';
-      if (currentPaneId !== null) {
-        message += `\n\n当前选择: <b>${currentPaneId}</b>`;
-      }
+  // Nothing matched: if only one pane was sent a prompt, this is its reply
+  const busyPaneIds = [...busyPanes.keys()].filter(paneId => isPaneBusy(paneId));
+  return busyPaneIds.length === 1 ? busyPaneIds[0] : findClaudePaneId();
+}
 
-      await sendMessage(chatId, message);
-      break;
+/**
+ * Find the route for a hook payload, by session ID first and then by cwd.
+ * A cwd match remembers the session ID so later replies route directly.
+ */
+function findRouteForHook(sessionId, cwd) {
+  if (sessionId) {
+    const route = routes.find(r => r.sessionId === sessionId);
+    if (route) {
+      return route;
     }
+  }
 
-    case '/setpane': {
-      if (!args || !args.trim()) {
-        await sendMessage(chatId, '⚠️ 请提供窗格 ID\n\n用法: /setpane &lt;id&gt;\n例如: /setpane 3\n\n使用 /panes 查看可用窗格');
-        break;
-      }
+  const hookCwd = normalizeCwd(cwd);
+  if (!hookCwd || routes.length === 0) {
+    return null;
+  }
 
-      const paneId = args.trim();
-      const panes = getWeztermPanes();
-      const paneExists = panes.some(p => String(p.pane_id) === paneId);
+  // Prefer the pane's live cwd, fall back to the cwd recorded at bind time
+  const panes = getPanes();
+  const route = routes.find(r => {
+    const pane = panes.find(p => p.id === r.paneId);
+    return normalizeCwd(pane?.cwd || r.cwd) === hookCwd;
+  });
 
-      if (!paneExists) {
-        await sendMessage(chatId, `❌ 窗格 ${paneId} 不存在\n\n使用 /panes 查看可用窗格`);
-        break;
-      }
+  if (route && sessionId && route.sessionId !== sessionId) {
+    route.sessionId = sessionId;
+    saveRoutes();
+  }
+  return route || null;
+}
+
+/**
+ * Save chat ID for the stop hook to use
+ */
+function saveChatId(chatId) {
+  if (state.get('chatId') !== chatId.toString()) {
+    state.set('chatId', chatId.toString());
+  }
+}
+
+/**
+ * Get the current chat ID
+ */
+function getChatId() {
+  return state.get('chatId');
+}
+
+/**
+ * Check if a chat ID is authorized
+ */
+function isAuthorized(chatId) {
+  // If no whitelist configured, reject all (security by default)
+  if (ALLOWED_CHAT_IDS.length === 0) {
+    return false;
+  }
+  return ALLOWED_CHAT_IDS.includes(String(chatId));
+}
+
+// Per-user roles (reloaded when the roles file changes) and the audit log
+const access = createAccessControl({ rolesFile: ROLES_FILE, auditFile: AUDIT_LOG_FILE });
+
+/**
+ * Check a Telegram user's role for an action and record the attempt in the audit log.
+ * Returns { allowed, role }.
+ */
+function authorizeUser(chatId, threadId, user, type, action, required) {
+  const role = user ? access.getRole(user.id) : null;
+  const allowed = user ? access.hasRole(user.id, required) : false;
+  access.audit({
+    userId: user ? String(user.id) : null,
+    username: user ? user.username || user.first_name || null : null,
+    chatId: String(chatId),
+    threadId,
+    role,
+    type,
+    action,
+    allowed
+  });
+  return { allowed, role };
+}
+
+// Allow / confirm / deny rules for prompts (reloaded when the rules file changes)
+const guardrails = createGuardrails({ file: GUARDRAILS_FILE });
+
+/**
+ * Describe a missing permission to the user (role names and the user's ID)
+ */
+function formatDenied(user, role, required) {
+  return `⛔ 权限不足：需要 <b>${required}</b> 角色，当前角色: <b>${role || '无'}</b>\n\n` +
+    `您的用户 ID: <code>${user ? user.id : '未知'}</code>`;
+}
+
+/**
+ * Format a date as YYYY-MM-DD HH:mm (local time)
+ */
+function formatTimestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Send (or edit in place) one page of the /resume session picker
+ */
+async function sendResumePicker(chatId, threadId, page = 0, messageId = null) {
+  const paneId = getTargetPaneId(chatId, threadId);
+  const cwd = paneId !== null ? getPaneCwd(paneId) : null;
+  if (!cwd) {
+    await sendMessage(chatId, '❌ 无法确定当前窗格的工作目录\n\n请先使用 /setpane 选择 Claude Code 所在的窗格', threadOptions(threadId));
+    return;
+  }
+
+  const { sessions, total } = listSessions(cwd, page, RESUME_PAGE_SIZE);
+  if (total === 0) {
+    await sendMessage(chatId, `ℹ️ 没有找到会话记录\n\n<code>📁 ${escapeHtml(cwd)}</code>`, threadOptions(threadId));
+    return;
+  }
+
+  const pageCount = Math.ceil(total / RESUME_PAGE_SIZE);
+  let text = `<b>选择要恢复的会话</b> (${page + 1}/${pageCount})\n<code>📁 ${escapeHtml(cwd)}</code>\n\n`;
+  const keyboard = [];
+
+  sessions.forEach((session, index) => {
+    const number = page * RESUME_PAGE_SIZE + index + 1;
+    const prompt = (session.prompt || '(无内容)').replace(/\s+/g, ' ');
+    text += `<b>${number}.</b> ${formatTimestamp(session.updatedAt)}\n${escapeHtml(prompt.slice(0, 100))}\n\n`;
+    keyboard.push([{ text: `${number}. ${prompt.slice(0, 40)}`, callback_data: `resume:${session.sessionId}` }]);
+  });
+
+  const navigation = [];
+  if (page > 0) {
+    navigation.push({ text: '◀️ 上一页', callback_data: `resumepage:${page - 1}` });
+  }
+  if (page < pageCount - 1) {
+    navigation.push({ text: '下一页 ▶️', callback_data: `resumepage:${page + 1}` });
+  }
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+
+  const replyMarkup = { inline_keyboard: keyboard };
+  if (messageId) {
+    await telegramApi('editMessageText', {
+      chat_id: chatId,
+      message_id: messageId,
+      text: text.trim(),
+      parse_mode: 'HTML',
+      reply_markup: replyMarkup
+    });
+  } else {
+    await sendMessage(chatId, text.trim(), { ...threadOptions(threadId), reply_markup: replyMarkup });
+  }
+}
+
+/**
+ * Capture a pane's text with ANSI codes and trailing blank lines removed
+ */
+function capturePane(paneId, lines) {
+  const text = stripAnsi(terminal.captureText(paneId, lines));
+  return text.split('\n').map(line => line.replace(/\s+$/, '')).join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Handle /screen: send the pane's visible text (or last N lines) back to Telegram
+ */
+async function sendScreen(chatId, threadId, lines, paneId = getTargetPaneId(chatId, threadId)) {
+  if (paneId === null) {
+    await sendMessage(chatId, '❌ 未选择窗格', threadOptions(threadId));
+    return;
+  }
+
+  let text;
+  try {
+    text = capturePane(paneId, lines);
+  } catch (error) {
+    await sendMessage(chatId, `❌ 读取窗格失败: ${escapeHtml(error.message)}`, threadOptions(threadId));
+    return;
+  }
+
+  if (!text.trim()) {
+    await sendMessage(chatId, `ℹ️ 窗格 ${paneId} 没有内容`, threadOptions(threadId));
+  } else if (text.length > SCREEN_INLINE_LIMIT) {
+    await sendDocument(chatId, `pane-${paneId}-${Date.now()}.txt`, text, `🖥 窗格 <b>${paneId}</b> 输出（${text.split('\n').length} 行）`, threadOptions(threadId));
+  } else {
+    await sendMessage(chatId, `🖥 窗格 <b>${paneId}</b>\n<pre>${escapeHtml(text)}</pre>`, threadOptions(threadId));
+  }
+}
+
+/**
+ * Render pane text for a /watch message (keeps the tail that fits in one message)
+ */
+function renderWatchText(paneId, text) {
+  const tail = text.length > SCREEN_INLINE_LIMIT ? text.slice(-SCREEN_INLINE_LIMIT) : text;
+  const time = formatTimestamp(new Date()).slice(11);
+  return `👁 窗格 <b>${paneId}</b> · ${time}\n<pre>${escapeHtml(tail || ' ')}</pre>\n使用 /unwatch 停止`;
+}
+
+/**
+ * Stop a /watch loop for a chat/topic
+ */
+function stopWatch(chatId, threadId = null) {
+  const key = `${chatId}:${threadId || ''}`;
+  const watch = watches.get(key);
+  if (!watch) {
+    return false;
+  }
+  clearInterval(watch.timer);
+  watches.delete(key);
+  return true;
+}
+
+/**
+ * Handle /watch: keep editing one message with fresh pane output until /unwatch
+ */
+async function startWatch(chatId, threadId, lines) {
+  const paneId = getTargetPaneId(chatId, threadId);
+  if (paneId === null) {
+    await sendMessage(chatId, '❌ 未选择窗格', threadOptions(threadId));
+    return;
+  }
+
+  stopWatch(chatId, threadId);
+
+  let text;
+  try {
+    text = capturePane(paneId, lines);
+  } catch (error) {
+    await sendMessage(chatId, `❌ 读取窗格失败: ${escapeHtml(error.message)}`, threadOptions(threadId));
+    return;
+  }
+
+  const result = await sendMessage(chatId, renderWatchText(paneId, text), threadOptions(threadId));
+  if (!result.ok) {
+    return;
+  }
+
+  const watch = { messageId: result.result.message_id, paneId, lastText: text, startedAt: Date.now() };
+  watch.timer = setInterval(async () => {
+    if (Date.now() - watch.startedAt > WATCH_TIMEOUT) {
+      stopWatch(chatId, threadId);
+      await sendMessage(chatId, '⏱ 已自动停止 /watch（超过 10 分钟）', threadOptions(threadId));
+      return;
+    }
+
+    let fresh;
+    try {
+      fresh = capturePane(paneId, lines);
+    } catch (error) {
+      stopWatch(chatId, threadId);
+      await sendMessage(chatId, `❌ 读取窗格失败，已停止 /watch: ${escapeHtml(error.message)}`, threadOptions(threadId));
+      return;
+    }
+
+    // Telegram rejects edits that do not change the message
+    if (fresh === watch.lastText) {
+      return;
+    }
+    watch.lastText = fresh;
+    await telegramApi('editMessageText', {
+      chat_id: chatId,
+      message_id: watch.messageId,
+      text: renderWatchText(paneId, fresh),
+      parse_mode: 'HTML'
+    });
+  }, WATCH_INTERVAL);
+
+  watches.set(`${chatId}:${threadId || ''}`, watch);
+}
+
+/**
+ * Parse the optional line count argument of /screen and /watch
+ */
+function parseLineCount(args) {
+  const lines = parseInt((args || '').trim(), 10);
+  return Number.isNaN(lines) || lines <= 0 ? null : Math.min(lines, 2000);
+}
+
+/**
+ * Resolve a path inside a root directory; returns null if it escapes the root
+ */
+function resolveInsideRoot(root, requestedPath) {
+  let realRoot;
+  let realPath;
+  try {
+    realRoot = fs.realpathSync(root);
+    // realpath also follows symlinks that point outside the root
+    realPath = fs.realpathSync(path.resolve(realRoot, requestedPath));
+  } catch (e) {
+    return null;
+  }
+  const relative = path.relative(realRoot, realPath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return realPath;
+}
+
+/**
+ * Handle /get: send a file from the pane's project directory as a document
+ */
+async function sendProjectFile(chatId, threadId, requestedPath) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+
+  if (!requestedPath) {
+    await reply('⚠️ 请提供文件路径\n\n用法: /get &lt;path&gt;\n例如: /get docs/diagram.png');
+    return;
+  }
+
+  const paneId = getTargetPaneId(chatId, threadId);
+  const root = paneId !== null ? getPaneCwd(paneId) : null;
+  if (!root) {
+    await reply('❌ 无法确定当前窗格的工作目录\n\n请先使用 /setpane 选择 Claude Code 所在的窗格');
+    return;
+  }
+
+  const filePath = resolveInsideRoot(root, requestedPath);
+  if (!filePath) {
+    console.log(`Blocked /get outside project root: ${requestedPath}`);
+    await reply(`❌ 文件不存在或不在项目目录内: <code>${escapeHtml(requestedPath)}</code>`);
+    return;
+  }
+
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    await reply(`❌ 不是文件: <code>${escapeHtml(requestedPath)}</code>`);
+    return;
+  }
+  if (stat.size > MAX_DOCUMENT_SIZE) {
+    await reply(`❌ 文件过大（${(stat.size / 1024 / 1024).toFixed(1)} MB），Telegram 上限为 50 MB`);
+    return;
+  }
+
+  const result = await sendDocument(chatId, path.basename(filePath), fs.readFileSync(filePath), `📎 <code>${escapeHtml(path.relative(fs.realpathSync(root), filePath))}</code>`, threadOptions(threadId));
+  if (!result.ok) {
+    await reply(`❌ 发送失败: ${escapeHtml(result.description || result.error || '')}`);
+  }
+}
+
+/**
+ * Run a git command in a directory and return stdout
+ */
+async function runGit(cwd, args) {
+  const { stdout } = await promisify(execFile)('git', args, { cwd, encoding: 'utf-8', maxBuffer: 20 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Get the git working directory of a chat's pane: the cwd from its last Stop hook, else the pane's cwd
+ */
+function getGitCwd(chatId, threadId) {
+  const paneId = getTargetPaneId(chatId, threadId);
+  if (paneId === null) {
+    return { paneId, cwd: null };
+  }
+  return { paneId, cwd: paneHookCwds.get(String(paneId)) || getPaneCwd(paneId) };
+}
+
+/**
+ * Handle /diff: send git diff --stat plus the diff (as messages or a .patch file).
+ * `target` ({ paneId, cwd }) defaults to the chat's pane.
+ */
+async function sendGitDiff(chatId, threadId, filterPath, target = getGitCwd(chatId, threadId)) {
+  const reply = (text, options = {}) => sendMessage(chatId, text, { ...threadOptions(threadId), ...options });
+  const { paneId, cwd } = target;
+  if (!cwd) {
+    await reply('❌ 无法确定当前窗格的工作目录\n\n请先使用 /setpane 选择 Claude Code 所在的窗格');
+    return;
+  }
+
+  if (filterPath) {
+    const relative = path.relative(cwd, path.resolve(cwd, filterPath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      await reply(`❌ 路径不在项目目录内: <code>${escapeHtml(filterPath)}</code>`);
+      return;
+    }
+  }
+
+  const pathArgs = filterPath ? ['--', filterPath] : [];
+  let stat;
+  let diff;
+  try {
+    // Compare against HEAD to include staged changes; fresh repos have no HEAD yet
+    const base = await runGit(cwd, ['rev-parse', '--verify', '-q', 'HEAD']).then(() => ['HEAD'], () => []);
+    stat = (await runGit(cwd, ['diff', '--stat', ...base, ...pathArgs])).trim();
+    diff = await runGit(cwd, ['diff', ...base, ...pathArgs]);
+  } catch (error) {
+    await reply(`❌ git diff 失败\n\n<pre>${escapeHtml((error.stderr || error.message).trim())}</pre>`);
+    return;
+  }
+
+  if (!diff.trim()) {
+    await reply(`✅ 没有未提交的修改\n<code>📁 ${escapeHtml(cwd)}</code>`);
+    return;
+  }
+
+  const header = `<b>git diff</b>\n<code>📁 ${escapeHtml(cwd)}</code>\n\n<pre>${escapeHtml(stat)}</pre>`;
+  // The commit/revert buttons need a pane to type into
+  const buttons = paneId === null ? {} : {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ 让 Claude 提交', callback_data: `git:commit:${paneId}` },
+        { text: '↩️ 让 Claude 撤销修改', callback_data: `git:revert:${paneId}` }
+      ]]
+    }
+  };
+
+  await reply(header);
+  if (diff.length > DIFF_INLINE_LIMIT) {
+    await sendDocument(chatId, `changes-${Date.now()}.patch`, diff, `📄 diff 较长（${diff.split('\n').length} 行），已作为文件发送`, { ...threadOptions(threadId), ...buttons });
+  } else {
+    await reply(`<pre><code class="language-diff">${escapeHtml(diff.trimEnd())}</code></pre>`, buttons);
+  }
+}
+
+/**
+ * Handle /git status and /git log [-n N] (read-only)
+ */
+async function sendGitInfo(chatId, threadId, args) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const [subcommand, ...rest] = (args || '').trim().split(/\s+/);
+  const { cwd } = getGitCwd(chatId, threadId);
+  if (!cwd) {
+    await reply('❌ 无法确定当前窗格的工作目录\n\n请先使用 /setpane 选择 Claude Code 所在的窗格');
+    return;
+  }
+
+  let gitArgs;
+  if (subcommand === 'status') {
+    gitArgs = ['status', '--short', '--branch'];
+  } else if (subcommand === 'log') {
+    const countArg = rest.join(' ').match(/-n\s*(\d+)|^(\d+)$/);
+    const count = Math.min(parseInt(countArg?.[1] || countArg?.[2] || '10', 10), 50);
+    gitArgs = ['log', '--oneline', '--decorate', '-n', String(count)];
+  } else {
+    await reply('⚠️ 只支持只读命令\n\n用法:\n/git status\n/git log [-n 10]');
+    return;
+  }
+
+  try {
+    const output = (await runGit(cwd, gitArgs)).trim();
+    await reply(`<b>git ${subcommand}</b>\n<code>📁 ${escapeHtml(cwd)}</code>\n\n<pre>${escapeHtml(output || '(空)')}</pre>`);
+  } catch (error) {
+    await reply(`❌ git ${subcommand} 失败\n\n<pre>${escapeHtml((error.stderr || error.message).trim())}</pre>`);
+  }
+}
+
+/**
+ * Handle a commit/revert button under /diff: type the canned prompt into the pane
+ */
+async function handleGitActionCallback(chatId, threadId, data) {
+  const [, action, paneId] = data.split(':');
+  const prompt = GIT_ACTION_PROMPTS[action];
+  if (!prompt || !paneId) {
+    return;
+  }
+
+  if (await submitPrompt(chatId, threadId, prompt, paneId)) {
+    await sendMessage(chatId, `▶️ 已发送给 Claude:\n<i>${escapeHtml(prompt)}</i>`, threadOptions(threadId));
+  }
+}
+
+/**
+ * Handle /queue: list prompts waiting for a busy pane and outbound messages still waiting for delivery
+ */
+async function sendQueueStatus(chatId, threadId) {
+  const jobs = outbox.list();
+  if (jobs.length === 0 && promptQueue.length === 0) {
+    await sendMessage(chatId, '✅ 没有排队的消息', threadOptions(threadId));
+    return;
+  }
+
+  let text = '';
+  if (promptQueue.length > 0) {
+    text += `<b>排队等待发送给 Claude (${promptQueue.length})</b>\n\n`;
+    for (const entry of promptQueue) {
+      const preview = entry.text.replace(/\s+/g, ' ').slice(0, 60);
+      const busy = isPaneBusy(entry.paneId) ? `，处理中 ${Math.round((Date.now() - busyPanes.get(entry.paneId)) / 1000)} 秒` : '';
+      text += `<b>#${entry.id}</b> → 窗格 ${entry.paneId}${busy}\n${escapeHtml(preview)}\n\n`;
+    }
+    text += '/cancel &lt;编号&gt; 取消排队的消息\n\n';
+  }
+
+  if (jobs.length > 0) {
+    text += `<b>待发送到 Telegram 的回复 (${jobs.length})</b>\n\n`;
+    for (const job of jobs.slice(0, 20)) {
+      const preview = (job.body.text || job.body.caption || job.file?.name || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').slice(0, 60);
+      const retry = job.nextAttemptAt > Date.now() ? `，${Math.ceil((job.nextAttemptAt - Date.now()) / 1000)} 秒后重试` : '';
+      text += `${job.method} → ${job.chatId}（尝试 ${job.attempts} 次${retry}）\n${escapeHtml(preview)}\n`;
+      if (job.lastError) {
+        text += `<i>${escapeHtml(job.lastError)}</i>\n`;
+      }
+      text += '\n';
+    }
+    if (jobs.length > 20) {
+      text += `…还有 ${jobs.length - 20} 条`;
+    }
+  }
+  await sendMessage(chatId, text.trim(), threadOptions(threadId));
+}
+
+/**
+ * Send the most recent audit log entries (/audit [count] [userId])
+ */
+async function sendAuditLog(chatId, threadId, args) {
+  const [countArg, userId] = args.trim().split(/\s+/);
+  const limit = Math.min(parseInt(countArg, 10) || AUDIT_DEFAULT_ENTRIES, AUDIT_MAX_ENTRIES);
+  const entries = access.readAudit({ limit, userId: userId || null });
+  if (entries.length === 0) {
+    await sendMessage(chatId, '📭 审计日志为空', threadOptions(threadId));
+    return;
+  }
+
+  let text = `<b>审计日志（最近 ${entries.length} 条${userId ? `，用户 ${escapeHtml(userId)}` : ''}）</b>\n\n`;
+  for (const entry of entries) {
+    const action = entry.action.replace(/\s+/g, ' ');
+    text += `<code>${formatTimestamp(new Date(entry.time))}</code> ${entry.allowed ? '' : '⛔ '}` +
+      `${escapeHtml(entry.username || entry.userId || '?')} (${escapeHtml(entry.role || '无')}) ` +
+      `${entry.type}${entry.decision ? `(${entry.decision})` : ''}: ${escapeHtml(action.length > 80 ? action.slice(0, 79) + '…' : action)}\n`;
+  }
+  await sendMessage(chatId, text.trim(), threadOptions(threadId));
+}
+
+/**
+ * Show the configured roles (/roles) after reloading the roles file
+ */
+async function sendRoles(chatId, threadId) {
+  access.reload();
+  if (!access.isConfigured()) {
+    await sendMessage(chatId, `ℹ️ 未配置角色文件，允许的聊天中所有用户均为 admin\n\n角色文件: <code>${escapeHtml(ROLES_FILE)}</code>`, threadOptions(threadId));
+    return;
+  }
+
+  const users = access.listUsers();
+  let text = `<b>用户角色</b>（<code>${escapeHtml(ROLES_FILE)}</code>）\n\n`;
+  for (const role of ROLES.slice().reverse()) {
+    const ids = users.filter(u => u.role === role).map(u => `<code>${escapeHtml(u.userId)}</code>`);
+    text += `<b>${role}</b>: ${ids.length > 0 ? ids.join(', ') : '-'}\n`;
+  }
+  await sendMessage(chatId, text.trim(), threadOptions(threadId));
+}
+
+/**
+ * Persist the macros
+ */
+function saveMacros() {
+  state.set('macros', macros);
+}
+
+/**
+ * Expand a macro's placeholders: {{1}}..{{9}} are the arguments ({{args}} all of them,
+ * and the highest numbered placeholder takes the rest of the line), {{cwd}} is the pane's directory
+ */
+function expandMacro(template, args, cwd) {
+  const words = args.trim() ? args.trim().split(/\s+/) : [];
+  const highest = Math.max(0, ...[...template.matchAll(/\{\{(\d)\}\}/g)].map(m => Number(m[1])));
+
+  return template.replace(/\{\{(\d|args|cwd)\}\}/g, (match, name) => {
+    if (name === 'args') {
+      return args.trim();
+    }
+    if (name === 'cwd') {
+      if (!cwd) {
+        throw new Error('无法确定当前窗格的工作目录（{{cwd}}）');
+      }
+      return cwd;
+    }
+    const index = Number(name);
+    const value = index === highest ? words.slice(index - 1).join(' ') : words[index - 1];
+    if (!value) {
+      throw new Error(`缺少参数 {{${name}}}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Expand a macro and send it to Claude like a typed message
+ */
+async function runMacro(chatId, threadId, user, name, args, replyTarget = null) {
+  const paneId = getTargetPaneId(chatId, threadId);
+  const cwd = replyTarget ? replyTarget.cwd : paneId !== null ? paneHookCwds.get(String(paneId)) || getPaneCwd(paneId) : null;
+  let text;
+  try {
+    text = expandMacro(macros[name], args, cwd);
+  } catch (error) {
+    await sendMessage(chatId, `❌ 宏 ${escapeHtml(name)}: ${escapeHtml(error.message)}`, threadOptions(threadId));
+    return;
+  }
+  await handleMessage(chatId, text, threadId, user, null, replyTarget);
+}
+
+/**
+ * Handle /macro add|del|list
+ */
+async function handleMacroCommand(chatId, threadId, args) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const [action = 'list', rawName = ''] = args.trim().split(/\s+/).filter(Boolean);
+  const name = rawName.toLowerCase();
+
+  if (action === 'list') {
+    const names = Object.keys(macros).sort();
+    if (names.length === 0) {
+      await reply('📭 还没有宏\n\n添加: /macro add &lt;名称&gt; &lt;内容&gt;');
+      return;
+    }
+    let text = `<b>宏列表 (${names.length})</b>\n\n`;
+    for (const macroName of names) {
+      const preview = macros[macroName].length > 200 ? macros[macroName].slice(0, 200) + '…' : macros[macroName];
+      text += `<b>/${macroName}</b>\n${escapeHtml(preview)}\n\n`;
+    }
+    await reply(text.trim());
+    return;
+  }
+
+  if (action === 'add') {
+    // Keep the text as typed (including newlines) after "add <name>"
+    const text = args.trim().replace(/^add\s+\S+\s*/, '');
+    if (!/^[a-z0-9_]{1,32}$/.test(name) || !text) {
+      await reply('用法: /macro add &lt;名称&gt; &lt;内容&gt;\n\n名称只能包含小写字母、数字和下划线（最多 32 个字符）\n内容中可使用 {{1}}、{{2}}、{{args}}、{{cwd}} 占位符');
+      return;
+    }
+    if (BOT_COMMANDS.some(c => c.command === name) || ['start', 'm', 'macro'].includes(name)) {
+      await reply(`❌ 名称 ${name} 与内置命令冲突`);
+      return;
+    }
+    const existed = name in macros;
+    macros[name] = text;
+    saveMacros();
+    await setupBotCommands();
+    await reply(`✅ 已${existed ? '更新' : '添加'}宏 /${name}\n\n用法: /m ${name} [参数] 或 /${name} [参数]`);
+    return;
+  }
+
+  if (action === 'del' || action === 'rm' || action === 'remove') {
+    if (!(name in macros)) {
+      await reply(`❌ 宏 ${escapeHtml(name)} 不存在`);
+      return;
+    }
+    delete macros[name];
+    saveMacros();
+    await setupBotCommands();
+    await reply(`🗑 已删除宏 /${name}`);
+    return;
+  }
+
+  await reply('用法:\n/macro list - 列出宏\n/macro add &lt;名称&gt; &lt;内容&gt; - 添加或更新宏\n/macro del &lt;名称&gt; - 删除宏\n/m &lt;名称&gt; [参数] - 运行宏');
+}
+
+/**
+ * Run a due schedule: announce it and send its prompt like a typed message
+ */
+async function runSchedule(schedule) {
+  // The creator's role is checked again on every run, since it may have been lowered since
+  const { allowed, role } = authorizeUser(schedule.chatId, schedule.threadId, schedule.user, 'schedule', `#${schedule.id} ${schedule.prompt}`, 'operator');
+  if (!allowed) {
+    console.log(`Skipped schedule #${schedule.id} (${schedule.name}): user ${schedule.user?.id} has role ${role || 'none'}`);
+    await sendMessage(schedule.chatId, `⛔ 定时任务 <b>${escapeHtml(schedule.name)}</b>（#${schedule.id}）未运行：` +
+      `创建者需要 <b>operator</b> 角色，当前角色: <b>${role || '无'}</b>`, threadOptions(schedule.threadId));
+    return;
+  }
+
+  console.log(`Running schedule #${schedule.id} (${schedule.name})`);
+  await sendMessage(schedule.chatId, `⏰ 定时任务 <b>${escapeHtml(schedule.name)}</b> 开始运行`, threadOptions(schedule.threadId));
+  await handleMessage(schedule.chatId, schedule.prompt, schedule.threadId, schedule.user, schedule.name);
+}
+
+// Scheduled and recurring prompts (checked once a minute)
+const scheduler = createScheduler({ state, run: runSchedule });
+
+/**
+ * Parse "at HH:MM" or "at YYYY-MM-DD HH:MM" (local time) into a timestamp; returns { runAt, rest } or null
+ */
+function parseAtTime(words) {
+  const dateMatch = words[0]?.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const timeWord = dateMatch ? words[1] : words[0];
+  const timeMatch = timeWord?.match(/^(\d{1,2}):(\d{2})$/);
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+    return null;
+  }
+
+  const date = new Date();
+  if (dateMatch) {
+    date.setFullYear(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]));
+  }
+  date.setHours(Number(timeMatch[1]), Number(timeMatch[2]), 0, 0);
+  // A bare time that has already passed today means tomorrow
+  if (!dateMatch && date.getTime() <= Date.now()) {
+    date.setDate(date.getDate() + 1);
+  }
+  return { runAt: date.getTime(), rest: words.slice(dateMatch ? 2 : 1) };
+}
+
+/**
+ * Handle /schedule [name=<name>] <cron|@daily|at [date] HH:MM> <prompt>
+ */
+async function handleScheduleCommand(chatId, threadId, user, args) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const usage = '用法:\n' +
+    '/schedule 0 9 * * 1-5 &lt;内容&gt; - cron 表达式（分 时 日 月 星期），例如工作日 9:00\n' +
+    '/schedule @daily &lt;内容&gt; - 也支持 @hourly、@weekly、@monthly\n' +
+    '/schedule at 18:30 &lt;内容&gt; - 一次性任务（或 at 2026-01-31 09:00）\n' +
+    '/schedule name=ci ... - 指定任务名称（显示在回复中）';
+
+  let words = args.trim().split(/\s+/).filter(Boolean);
+  let name = null;
+  if (words[0]?.startsWith('name=')) {
+    name = words[0].slice('name='.length);
+    words = words.slice(1);
+  }
+
+  let timing;
+  if (words[0] === 'at') {
+    const at = parseAtTime(words.slice(1));
+    if (!at) {
+      await reply(`❌ 无法解析时间\n\n${usage}`);
+      return;
+    }
+    if (at.runAt <= Date.now()) {
+      await reply('❌ 时间已经过去');
+      return;
+    }
+    timing = { runAt: at.runAt };
+    words = at.rest;
+  } else if (words[0]?.startsWith('@')) {
+    timing = { cron: words[0] };
+    words = words.slice(1);
+  } else {
+    timing = { cron: words.slice(0, 5).join(' ') };
+    words = words.slice(5);
+  }
+
+  const prompt = words.join(' ');
+  if (!prompt) {
+    await reply(usage);
+    return;
+  }
+
+  let schedule;
+  try {
+    schedule = scheduler.add({
+      // Unnamed schedules are named after the start of their prompt
+      name: name || (prompt.length > 20 ? prompt.slice(0, 20) + '…' : prompt),
+      chatId,
+      threadId,
+      user: user ? { id: user.id, username: user.username || null, first_name: user.first_name || null } : null,
+      prompt,
+      ...timing
+    });
+  } catch (error) {
+    await reply(`❌ ${escapeHtml(error.message)}\n\n${usage}`);
+    return;
+  }
+
+  const next = scheduler.nextRun(schedule);
+  await reply(`✅ 已添加定时任务 <b>${escapeHtml(schedule.name)}</b>（#${schedule.id}）\n\n` +
+    `下次运行: ${next ? formatTimestamp(next) : '未知'}\n/unschedule ${schedule.id} 删除`);
+}
+
+/**
+ * List the schedules of a chat or forum topic
+ */
+function listChatSchedules(chatId, threadId) {
+  return scheduler.list().filter(s => String(s.chatId) === String(chatId) && (s.threadId || null) === (threadId || null));
+}
+
+/**
+ * Handle /schedules: list the schedules of this chat/topic
+ */
+async function sendSchedules(chatId, threadId) {
+  const schedules = listChatSchedules(chatId, threadId);
+  if (schedules.length === 0) {
+    await sendMessage(chatId, '📭 没有定时任务\n\n/schedule 添加', threadOptions(threadId));
+    return;
+  }
+
+  let text = `<b>定时任务 (${schedules.length})</b>\n\n`;
+  for (const schedule of schedules) {
+    const next = scheduler.nextRun(schedule);
+    const timing = schedule.cron ? `<code>${escapeHtml(schedule.cron)}</code>` : '一次性';
+    const preview = schedule.prompt.length > 100 ? schedule.prompt.slice(0, 100) + '…' : schedule.prompt;
+    text += `<b>#${schedule.id} ${escapeHtml(schedule.name)}</b> ${timing}\n` +
+      `下次: ${next ? formatTimestamp(next) : '未知'}\n${escapeHtml(preview)}\n\n`;
+  }
+  text += '/unschedule &lt;编号&gt; 删除';
+  await sendMessage(chatId, text, threadOptions(threadId));
+}
+
+/**
+ * Session of the pane a chat/topic targets (from its binding or the last Stop hook), or null
+ */
+function getTargetSessionId(chatId, threadId) {
+  const route = findRoute(chatId, threadId);
+  if (route?.sessionId) {
+    return route.sessionId;
+  }
+  const paneId = getTargetPaneId(chatId, threadId);
+  return paneId !== null ? paneHookSessions.get(String(paneId)) || null : null;
+}
+
+/**
+ * Describe a mute state ({ until } or null)
+ */
+function formatMuteStatus(status) {
+  if (!status) {
+    return '🔔 通知开启';
+  }
+  return status.until === null ? '🔇 已静音' : `🔇 已静音（至 ${formatTimestamp(new Date(status.until))}）`;
+}
+
+/**
+ * Notification lines for /status: mute, session mute, quiet hours, summary-only mode and missed replies
+ */
+function formatNotificationStatus(chatId, threadId) {
+  const settings = notifications.getChatSettings(chatId, threadId);
+  const lines = [`通知: ${formatMuteStatus(notifications.chatMuteStatus(chatId, threadId))}`];
+
+  const sessionId = getTargetSessionId(chatId, threadId);
+  const sessionMute = sessionId ? notifications.sessionMuteStatus(sessionId) : null;
+  if (sessionMute) {
+    lines.push(`会话: ${formatMuteStatus(sessionMute)}`);
+  }
+  if (settings.quietHours) {
+    const active = notifications.isQuietTime(chatId, threadId) ? '，当前静默发送' : '';
+    lines.push(`免打扰: ${settings.quietHours.start}-${settings.quietHours.end}${active}`);
+  }
+  if (settings.summaryOnly) {
+    lines.push('回复: 仅摘要');
+  }
+  const missed = notifications.countMissed(chatId, threadId);
+  if (missed > 0) {
+    lines.push(`错过: ${missed} 条回复（/missed 查看）`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Handle /mute and /unmute: [session] [duration] for the current chat/topic or its session
+ */
+async function handleMuteCommand(chatId, threadId, args, mute) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const parts = (args || '').trim().split(/\s+/).filter(Boolean);
+  const forSession = parts[0] === 'session';
+  if (forSession) {
+    parts.shift();
+  }
+
+  let until = null;
+  if (mute && parts.length > 0) {
+    const duration = parseDuration(parts[0]);
+    if (!duration) {
+      await reply('用法: /mute [session] [时长]\n\n时长示例: 30m、2h、1d、1h30m，不填则一直静音');
+      return;
+    }
+    until = Date.now() + duration;
+  }
+  const untilText = until ? `，至 ${formatTimestamp(new Date(until))}` : '';
+
+  if (forSession) {
+    const sessionId = getTargetSessionId(chatId, threadId);
+    if (!sessionId) {
+      await reply('❌ 还不知道当前窗格的会话\n\n等 Claude 回复一次后再试');
+      return;
+    }
+    if (mute) {
+      notifications.muteSession(sessionId, until);
+      await reply(`🔇 已静音会话 <code>${escapeHtml(sessionId)}</code>${untilText}\n\n其他会话的回复照常发送，错过的回复可用 /missed 查看。`);
+    } else {
+      notifications.unmuteSession(sessionId);
+      await reply(`🔔 已取消静音会话 <code>${escapeHtml(sessionId)}</code>`);
+    }
+    return;
+  }
+
+  if (mute) {
+    notifications.muteChat(chatId, threadId, until);
+    await reply(`🔇 已静音${untilText}\n\nClaude 的回复将不会发送到当前聊天/话题，错过的回复可用 /missed 查看。\n使用 /unmute 取消静音。`);
+  } else {
+    notifications.unmuteChat(chatId, threadId);
+    const missed = notifications.countMissed(chatId, threadId);
+    await reply(`🔔 已取消静音\n\nClaude 的回复将会发送到 Telegram。${missed > 0 ? `\n静音期间错过 ${missed} 条回复，/missed 查看。` : ''}`);
+  }
+}
+
+/**
+ * Handle /quiet [HH:MM-HH:MM | off]: replies during quiet hours are sent without a notification sound
+ */
+async function handleQuietCommand(chatId, threadId, args) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const value = (args || '').trim();
+
+  if (!value) {
+    const quietHours = notifications.getChatSettings(chatId, threadId).quietHours;
+    await reply(quietHours
+      ? `🌙 免打扰时段: ${quietHours.start}-${quietHours.end}\n\n/quiet off 关闭`
+      : '🌙 未设置免打扰时段\n\n用法: /quiet 23:00-08:00');
+    return;
+  }
+  if (value === 'off') {
+    notifications.setQuietHours(chatId, threadId, null);
+    await reply('🌙 已关闭免打扰时段');
+    return;
+  }
+
+  const quietHours = parseQuietHours(value);
+  if (!quietHours) {
+    await reply('用法: /quiet 23:00-08:00 或 /quiet off');
+    return;
+  }
+  notifications.setQuietHours(chatId, threadId, quietHours);
+  await reply(`🌙 免打扰时段: ${quietHours.start}-${quietHours.end}\n\n这段时间内 Claude 的回复仍会发送，但不会响铃提醒。`);
+}
+
+/**
+ * Handle /summary [on | off]: send only the first paragraph of each reply with a "show full" button
+ */
+async function handleSummaryCommand(chatId, threadId, args) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const value = (args || '').trim();
+  const current = Boolean(notifications.getChatSettings(chatId, threadId).summaryOnly);
+
+  if (value !== 'on' && value !== 'off') {
+    await reply(`📋 仅摘要模式: ${current ? '开启' : '关闭'}\n\n用法: /summary on | off`);
+    return;
+  }
+  notifications.setSummaryOnly(chatId, threadId, value === 'on');
+  await reply(value === 'on'
+    ? '📋 已开启仅摘要模式\n\nClaude 的回复只发送第一段，点击「显示全文」查看完整内容。'
+    : '📋 已关闭仅摘要模式');
+}
+
+/**
+ * Replay the replies held back while the chat/topic (or its session) was muted
+ */
+async function sendMissedReplies(chatId, threadId) {
+  const missed = notifications.takeMissed(chatId, threadId);
+  if (missed.length === 0) {
+    await sendMessage(chatId, '📭 没有错过的回复', threadOptions(threadId));
+    return;
+  }
+
+  await sendMessage(chatId, `📬 静音期间错过 ${missed.length} 条回复，按时间顺序发送：`, threadOptions(threadId));
+  for (const entry of missed) {
+    queueReply(entry, { label: `<i>📬 ${formatTimestamp(new Date(entry.time))}</i>` });
+  }
+}
+
+/**
+ * Handle the "show full" button under a summary-only reply (full:<id>)
+ */
+async function handleFullReplyCallback(chatId, threadId, messageId, data) {
+  const entry = notifications.getFullReply(Number(data.split(':')[1]));
+  await telegramApi('editMessageReplyMarkup', { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: [] } });
+  if (!entry) {
+    await sendMessage(chatId, '⌛ 全文已过期，无法显示', threadOptions(threadId));
+    return;
+  }
+  // Images already went out with the summary
+  queueReply({ ...entry, images: [] }, { full: true });
+}
+
+// Built-in bot commands shown in Telegram's command menu (macros are appended)
+const BOT_COMMANDS = [
+  { command: 'panes', description: '列出所有终端窗格' },
+  { command: 'setpane', description: '设置活动窗格 (例如: /setpane 3)' },
+  { command: 'bind', description: '将窗格绑定到当前聊天/话题 (例如: /bind 3)' },
+  { command: 'unbind', description: '解除当前聊天/话题的窗格绑定' },
+  { command: 'status', description: '检查当前状态' },
+  { command: 'stop', description: '中断 Claude（发送 Escape）' },
+  { command: 'screen', description: '查看窗格当前内容 (例如: /screen 100)' },
+  { command: 'get', description: '获取项目中的文件 (例如: /get README.md)' },
+  { command: 'diff', description: '查看未提交的修改 (例如: /diff src)' },
+  { command: 'git', description: '只读 git 命令: /git status, /git log -n 10' },
+  { command: 'watch', description: '持续刷新窗格内容' },
+  { command: 'unwatch', description: '停止刷新窗格内容' },
+  { command: 'clear', description: '清除对话上下文' },
+  { command: 'resume', description: '选择并恢复之前的会话' },
+  { command: 'mute', description: '静音当前聊天 (例如: /mute 2h, /mute session)' },
+  { command: 'unmute', description: '取消静音 (例如: /unmute session)' },
+  { command: 'quiet', description: '免打扰时段，静默发送 (例如: /quiet 23:00-08:00)' },
+  { command: 'summary', description: '仅摘要模式: /summary on|off' },
+  { command: 'missed', description: '查看静音期间错过的回复' },
+  { command: 'queue', description: '查看排队和待发送的消息' },
+  { command: 'cancel', description: '取消排队的消息 (例如: /cancel 3)' },
+  { command: 'audit', description: '查看审计日志 (例如: /audit 50)' },
+  { command: 'roles', description: '重新加载并查看用户角色' },
+  { command: 'refresh', description: '刷新机器人命令' },
+  { command: 'schedule', description: '添加定时任务 (例如: /schedule at 18:30 运行测试)' },
+  { command: 'schedules', description: '查看定时任务' },
+  { command: 'unschedule', description: '删除定时任务 (例如: /unschedule 2)' },
+  { command: 'macro', description: '管理宏: /macro add|del|list' },
+  { command: 'm', description: '运行宏 (例如: /m test)' },
+  { command: 'help', description: '显示帮助信息' }
+];
+
+/**
+ * Setup bot commands in Telegram
+ */
+async function setupBotCommands() {
+  // Telegram accepts up to 100 commands with descriptions of at most 256 characters
+  const macroCommands = Object.entries(macros)
+    .map(([name, text]) => {
+      const line = text.replace(/\s+/g, ' ');
+      return { command: name, description: `宏: ${line.length > 240 ? line.slice(0, 239) + '…' : line}` };
+    });
+  const commands = [...BOT_COMMANDS, ...macroCommands].slice(0, 100);
+
+  const result = await telegramApi('setMyCommands', { commands });
+  if (result.ok) {
+    console.log('Bot commands registered successfully');
+  } else {
+    console.error('Failed to register bot commands:', result);
+  }
+}
+
+/**
+ * Handle incoming bot commands
+ */
+async function handleCommand(chatId, command, args, threadId = null, user = null) {
+  saveChatId(chatId);
+
+  const reply = (text, options = {}) => sendMessage(chatId, text, { ...threadOptions(threadId), ...options });
+
+  switch (command) {
+    case '/start':
+    case '/help':
+      await reply(`
+<b>Claude Code Telegram 桥接器</b>
+
+<b>窗格管理:</b>
+/panes - 列出所有终端窗格
+/setpane &lt;id&gt; - 设置活动窗格
+/bind &lt;id&gt; - 将窗格绑定到当前聊天/话题
+/unbind - 解除绑定
+
+<b>会话控制:</b>
+/status - 检查会话状态
+/stop - 中断 Claude（Escape）
+/screen [行数] - 查看窗格内容
+/get &lt;path&gt; - 获取项目目录中的文件
+/diff [path] - 查看未提交的修改
+/git status | /git log [-n N] - 只读 git 信息
+/watch [行数] - 持续刷新窗格内容，/unwatch 停止
+/clear - 清除对话
+/resume [id] - 选择并恢复之前的会话
+
+<b>通知控制:</b>
+/mute [session] [时长] - 静音当前聊天或会话（例如 /mute 2h）
+/unmute [session] - 取消静音
+/missed - 查看静音期间错过的回复
+/quiet &lt;23:00-08:00 | off&gt; - 免打扰时段（静默发送）
+/summary &lt;on | off&gt; - 仅摘要模式（只发第一段）
+/queue - 查看排队（Claude 忙碌时）和待发送的消息
+/cancel &lt;编号&gt; - 取消排队的消息
+
+<b>定时任务:</b>
+/schedule &lt;cron | at 时间&gt; &lt;内容&gt; - 定时发送消息给 Claude
+/schedules - 查看定时任务，/unschedule &lt;编号&gt; 删除
+
+<b>宏:</b>
+/macro add &lt;名称&gt; &lt;内容&gt; - 保存常用指令（支持 {{1}}、{{args}}、{{cwd}}）
+/macro list | /macro del &lt;名称&gt; - 查看 / 删除宏
+/m &lt;名称&gt; [参数] 或 /&lt;名称&gt; [参数] - 运行宏
+
+<b>权限管理（admin）:</b>
+/audit [条数] [用户ID] - 查看审计日志
+/roles - 重新加载并查看用户角色
+
+<b>使用方法:</b>
+直接发送消息即可与 Claude Code 对话！
+
+<b>注意:</b> 请先用 /panes 查看并用 /setpane 选择正确的窗格。
+      `.trim());
+      break;
+
+    case '/panes': {
+      const panes = getPanes();
+      if (panes.length === 0) {
+        await reply(`❌ 没有找到 ${terminal.displayName} 窗格\n\n请确保 ${terminal.displayName} 正在运行。`);
+        break;
+      }
+
+      const currentPaneId = getTargetPaneId(chatId, threadId);
+      let message = `<b>${terminal.displayName} 窗格列表:</b>\n\n`;
+
+      for (const pane of panes) {
+        const isSelected = pane.id === String(currentPaneId);
+        const isBound = routes.some(r => r.paneId === pane.id);
+        const marker = (isSelected ? ' ✅' : '') + (isBound ? ' 🔗' : '');
+        const title = pane.title || '(无标题)';
+        message += `<b>${pane.id}</b>${marker} - ${title}\n`;
+      }
+
+      message += '\n使用 /setpane &lt;id&gt; 选择窗格';
+      if (currentPaneId !== null) {
+        message += `\n\n当前选择: <b>${currentPaneId}</b>`;
+      }
+
+      await reply(message);
+      break;
+    }
+
+    case '/setpane': {
+      if (!args || !args.trim()) {
+        await reply('⚠️ 请提供窗格 ID\n\n用法: /setpane &lt;id&gt;\n例如: /setpane 3\n\n使用 /panes 查看可用窗格');
+        break;
+      }
+
+      const paneId = args.trim().replace(/^%/, '');
+      const panes = getPanes();
+      const paneExists = panes.some(p => p.id === paneId);
+
+      if (!paneExists) {
+        await reply(`❌ 窗格 ${paneId} 不存在\n\n使用 /panes 查看可用窗格`);
+        break;
+      }
 
       saveSelectedPaneId(paneId);
-      const pane = panes.find(p => String(p.pane_id) === paneId);
+      const pane = panes.find(p => p.id === paneId);
       const title = pane?.title || '(无标题)';
-      await sendMessage(chatId, `✅ 已选择窗格 <b>${paneId}</b>\n标题: ${title}\n\n现在可以发送消息了！`);
+      await reply(`✅ 已选择窗格 <b>${paneId}</b>\n标题: ${title}\n\n现在可以发送消息了！`);
+      break;
+    }
+
+    case '/bind': {
+      if (!args || !args.trim()) {
+        await reply('⚠️ 请提供窗格 ID\n\n用法: /bind &lt;id&gt;\n例如: /bind 3\n\n绑定后，此聊天（或话题）中的消息会发送到该窗格，该窗格的 Claude 回复也会发回这里。');
+        break;
+      }
+
+      const paneId = args.trim().replace(/^%/, '');
+      const pane = getPanes().find(p => p.id === paneId);
+
+      if (!pane) {
+        await reply(`❌ 窗格 ${paneId} 不存在\n\n使用 /panes 查看可用窗格`);
+        break;
+      }
+
+      bindPane(paneId, chatId, threadId, pane.cwd);
+      const target = threadId ? '当前话题' : '当前聊天';
+      await reply(`🔗 已将窗格 <b>${paneId}</b> 绑定到${target}\n标题: ${pane.title || '(无标题)'}`);
+      break;
+    }
+
+    case '/unbind': {
+      const route = unbindPane(chatId, threadId);
+      if (route) {
+        await reply(`✅ 已解除窗格 <b>${route.paneId}</b> 的绑定`);
+      } else {
+        await reply('ℹ️ 当前聊天/话题没有绑定窗格');
+      }
+      break;
+    }
+
+    case '/status': {
+      const panes = getPanes();
+      const route = findRoute(chatId, threadId);
+      const currentPaneId = getTargetPaneId(chatId, threadId);
+      const bindStatus = route ? `🔗 已绑定窗格 ${route.paneId}` : '未绑定（使用 /setpane 选择的窗格）';
+      const notificationStatus = formatNotificationStatus(chatId, threadId);
+      const terminalStatus = panes.length > 0
+        ? `✅ ${terminal.displayName} 已连接 (${panes.length} 个窗格)`
+        : `❌ ${terminal.displayName} 未连接`;
+      const stateStatus = `<code>${escapeHtml(state.file)}</code> (v${state.version()})`;
+
+      if (currentPaneId !== null) {
+        const pane = panes.find(p => p.id === String(currentPaneId));
+        const title = pane?.title || '(无标题)';
+        await reply(`✅ 已就绪\n\n${terminalStatus}\n窗格 ID: <b>${currentPaneId}</b>\n标题: ${title}\n绑定: ${bindStatus}\n${notificationStatus}\n状态文件: ${stateStatus}`);
+      } else {
+        await reply(`❌ 未选择窗格\n\n${terminalStatus}\n${notificationStatus}\n状态文件: ${stateStatus}\n\n请使用 /panes 查看窗格列表\n然后使用 /setpane &lt;id&gt; 选择窗格`);
+      }
+      break;
+    }
+
+    case '/mute':
+      await handleMuteCommand(chatId, threadId, args, true);
+      break;
+
+    case '/unmute':
+      await handleMuteCommand(chatId, threadId, args, false);
+      break;
+
+    case '/quiet':
+      await handleQuietCommand(chatId, threadId, args);
+      break;
+
+    case '/summary':
+      await handleSummaryCommand(chatId, threadId, args);
+      break;
+
+    case '/missed':
+      await sendMissedReplies(chatId, threadId);
+      break;
+
+    case '/queue':
+      await sendQueueStatus(chatId, threadId);
+      break;
+
+    case '/audit':
+      await sendAuditLog(chatId, threadId, args);
+      break;
+
+    case '/macro':
+      await handleMacroCommand(chatId, threadId, args);
+      break;
+
+    case '/schedule':
+      await handleScheduleCommand(chatId, threadId, user, args);
+      break;
+
+    case '/schedules':
+      await sendSchedules(chatId, threadId);
+      break;
+
+    case '/unschedule': {
+      // Only schedules of this chat or topic can be removed from here
+      const id = parseInt(args, 10);
+      const schedule = id && listChatSchedules(chatId, threadId).some(s => s.id === id) ? scheduler.remove(id) : null;
+      await reply(schedule ? `🗑 已删除定时任务 <b>${escapeHtml(schedule.name)}</b>（#${id}）` : '用法: /unschedule &lt;编号&gt;\n\n/schedules 查看定时任务');
+      break;
+    }
+
+    case '/m': {
+      const [name = ''] = args.trim().split(/\s+/);
+      if (!macros[name.toLowerCase()]) {
+        await reply(name ? `❌ 宏 ${escapeHtml(name)} 不存在，/macro list 查看所有宏` : '用法: /m &lt;名称&gt; [参数]');
+        break;
+      }
+      await runMacro(chatId, threadId, user, name.toLowerCase(), args.trim().slice(name.length));
+      break;
+    }
+
+    case '/roles':
+      await sendRoles(chatId, threadId);
+      break;
+
+    case '/refresh':
+      await setupBotCommands();
+      await reply('✅ 已刷新机器人命令\n\n请退出聊天并重新进入，或重启 Telegram 查看新命令。');
+      break;
+
+    case '/stop': {
+      const paneId = getTargetPaneId(chatId, threadId);
+      if (sendEscapeToPane(paneId)) {
+        await reply('⏹ 已发送中断信号');
+        // An interrupted turn sends no Stop hook, so move on to the queue here
+        markPaneIdle(paneId);
+      } else {
+        await reply('❌ 发送中断失败');
+      }
+      stopTypingLoop(chatId, threadId);
+      break;
+    }
+
+    case '/cancel': {
+      const id = parseInt(args, 10);
+      if (!id) {
+        await reply('用法: /cancel &lt;编号&gt;\n\n/queue 查看排队的消息');
+        break;
+      }
+      const entry = cancelQueuedPrompt(id);
+      await reply(entry ? `❌ 已取消排队的消息 #${id}` : `❌ 队列中没有消息 #${id}`);
+      break;
+    }
+
+    case '/screen':
+      await sendScreen(chatId, threadId, parseLineCount(args));
+      break;
+
+    case '/get':
+      await sendProjectFile(chatId, threadId, (args || '').trim());
+      break;
+
+    case '/diff':
+      await sendGitDiff(chatId, threadId, (args || '').trim());
+      break;
+
+    case '/git':
+      await sendGitInfo(chatId, threadId, args);
+      break;
+
+    case '/watch':
+      await startWatch(chatId, threadId, parseLineCount(args));
+      break;
+
+    case '/unwatch':
+      if (stopWatch(chatId, threadId)) {
+        await reply('⏹ 已停止刷新');
+      } else {
+        await reply('ℹ️ 当前没有正在刷新的窗格');
+      }
+      break;
+
+    case '/clear': {
+      const paneId = getTargetPaneId(chatId, threadId);
+      if (paneId === null) {
+        await reply('❌ 未选择窗格');
+        break;
+      }
+      try {
+        sendTextToPane('/clear', paneId);
+        forgetPaneSession(paneId);
+        await reply('🗑 对话已清除');
+      } catch (error) {
+        await reply(`❌ 错误: ${escapeHtml(error.message)}`);
+      }
+      break;
+    }
+
+    case '/resume': {
+      const paneId = getTargetPaneId(chatId, threadId);
+      if (paneId === null) {
+        await reply('❌ 未选择窗格');
+      } else if (args && args.trim()) {
+        try {
+          sendTextToPane(`/resume ${args.trim()}`, paneId);
+          savePaneSession(paneId, args.trim());
+          await reply(`▶️ 正在恢复会话 ${escapeHtml(args.trim())}...`);
+        } catch (error) {
+          await reply(`❌ 错误: ${escapeHtml(error.message)}`);
+        }
+      } else {
+        await sendResumePicker(chatId, threadId);
+      }
       break;
     }
 
-    case '/status': {
-      const panes = getWeztermPanes();
-      const currentPaneId = findClaudePaneId();
-      const muteStatus = isMuted ? '🔇 已静音' : '🔔 通知开启';
-      const weztermStatus = panes.length > 0 ? `✅ WezTerm 已连接 (${panes.length} 个窗格)` : '❌ WezTerm 未连接';
-
-      if (currentPaneId !== null) {
-        const pane = panes.find(p => String(p.pane_id) === String(currentPaneId));
-        const title = pane?.title || '(无标题)';
-        await sendMessage(chatId, `✅ 已就绪\n\n${weztermStatus}\n窗格 ID: <b>${currentPaneId}</b>\n标题: ${title}\n通知: ${muteStatus}`);
+    default:
+      // Macros registered as bot commands (/name args)
+      if (macros[command.slice(1)]) {
+        await runMacro(chatId, threadId, user, command.slice(1), args);
+        break;
+      }
+      // Check if it's a blocked command
+      if (BLOCKED_COMMANDS.some(cmd => command.startsWith(cmd))) {
+        await reply(`⚠️ 命令 ${command} 需要交互式输入，不支持通过 Telegram 使用。`);
       } else {
-        await sendMessage(chatId, `❌ 未选择窗格\n\n${weztermStatus}\n通知: ${muteStatus}\n\n请使用 /panes 查看窗格列表\n然后使用 /setpane &lt;id&gt; 选择窗格`);
+        await reply(`未知命令: ${command}`);
       }
-      break;
+  }
+}
+
+/**
+ * Strip the bridge's own decorations (part marker, source header, turn summary) from a reply's text
+ */
+function stripReplyDecorations(text) {
+  const lines = text.split('\n');
+  while (lines.length > 0 && (/^\(\d+\/\d+\)$/.test(lines[0]) || /^(📁|🔖|⏰|📬) /u.test(lines[0]) || !lines[0].trim())) {
+    lines.shift();
+  }
+  while (lines.length > 0 && (/^(🛠|📝|🔢|⏱) /u.test(lines[lines.length - 1]) || !lines[lines.length - 1].trim())) {
+    lines.pop();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Work out where a prompt that replies to an earlier message goes and what it quotes.
+ * Returns { text, target }: target is the pane and session that produced the replied-to message
+ * (null if it was not one of Claude's replies), and text has the quoted context (see REPLY_CONTEXT) prepended.
+ */
+function resolveReply(chatId, threadId, message, text) {
+  const replied = message.reply_to_message;
+  // In forum topics every message counts as a reply to the topic's first message
+  if (!replied || replied.message_id === threadId) {
+    return { text, target: null };
+  }
+
+  const target = getMessageContext(chatId, replied.message_id);
+  let quote = null;
+  if (REPLY_CONTEXT !== 'off' && message.quote?.text) {
+    quote = message.quote.text;
+  } else if (REPLY_CONTEXT === 'full' && target) {
+    quote = stripReplyDecorations(replied.text || replied.caption || '');
+  }
+  if (!quote) {
+    return { text, target };
+  }
+
+  if (quote.length > REPLY_QUOTE_MAX_LENGTH) {
+    quote = quote.slice(0, REPLY_QUOTE_MAX_LENGTH) + '…';
+  }
+  const quoted = quote.split('\n').map(line => `> ${line}`).join('\n');
+  return { text: `${quoted}\n\n${text}`, target };
+}
+
+/**
+ * Handle regular messages (send to Claude).
+ * `replyTarget` ({ paneId, sessionId, cwd }) sends the prompt to the session that wrote a replied-to message.
+ */
+async function handleMessage(chatId, text, threadId = null, user = null, scheduleName = null, replyTarget = null) {
+  saveChatId(chatId);
+
+  const reply = (message) => sendMessage(chatId, message, threadOptions(threadId));
+
+  // Check if pane is selected (a bound pane takes precedence)
+  let paneId = getTargetPaneId(chatId, threadId);
+  let sessionId = null;
+
+  // A reply to one of Claude's messages goes to the pane that wrote it; if that pane is gone,
+  // the session is resumed in the current pane, provided it works in the same directory
+  if (replyTarget) {
+    if (replyTarget.paneId !== null && paneExists(replyTarget.paneId)) {
+      paneId = replyTarget.paneId;
+    } else if (paneId === null || !replyTarget.cwd || normalizeCwd(getPaneCwd(paneId)) !== normalizeCwd(replyTarget.cwd)) {
+      await reply(`❌ 回复的消息来自窗格 ${replyTarget.paneId ?? '未知'}（<code>${escapeHtml(replyTarget.cwd || '未知目录')}</code>），该窗格已关闭\n\n` +
+        '请在同一目录下打开 Claude Code 并用 /setpane 选择，或直接发送消息（不使用回复）');
+      return;
     }
+    sessionId = replyTarget.sessionId;
+  }
 
-    case '/mute':
-      isMuted = true;
-      await sendMessage(chatId, '🔇 已静音\n\nClaude 的回复将不会发送到 Telegram。\n使用 /unmute 取消静音。');
-      break;
+  if (paneId === null) {
+    await reply('❌ 未选择窗格\n\n请先执行以下步骤:\n1. /panes - 查看窗格列表\n2. /setpane &lt;id&gt; - 选择 Claude Code 所在的窗格');
+    return;
+  }
+
+  // Check for blocked commands being sent as regular text
+  if (BLOCKED_COMMANDS.some(cmd => text.toLowerCase().startsWith(cmd))) {
+    await reply(`⚠️ 此命令需要交互式输入，不支持通过 Telegram 使用。`);
+    return;
+  }
+
+  // Check the prompt against the guardrail rules
+  const { action, rule } = guardrails.classify(text);
+  if (action === 'deny') {
+    logGuardrailEvent(chatId, threadId, user, 'denied', rule, text);
+    await reply(`⛔ 消息被安全规则拦截，未发送\n\n规则: <code>${escapeHtml(rule)}</code>`);
+    return;
+  }
+  if (action === 'confirm') {
+    await requestPromptConfirmation(chatId, threadId, user, text, paneId, rule, scheduleName, sessionId);
+    return;
+  }
+
+  await submitPrompt(chatId, threadId, text, paneId, scheduleName, sessionId);
+}
+
+/**
+ * Persist the prompt queue so queued prompts survive a restart
+ */
+function saveQueue() {
+  state.set('promptQueue', promptQueue);
+}
+
+/**
+ * Remember which session a pane is on
+ */
+function savePaneSession(paneId, sessionId) {
+  paneHookSessions.set(String(paneId), sessionId);
+  state.update(current => {
+    current.paneSessions[String(paneId)] = sessionId;
+  });
+}
+
+/**
+ * Forget which session a pane is on (after /clear it starts a new one)
+ */
+function forgetPaneSession(paneId) {
+  paneHookSessions.delete(String(paneId));
+  state.update(current => {
+    delete current.paneSessions[String(paneId)];
+  });
+}
+
+/**
+ * Check whether a pane is in the middle of a turn
+ */
+function isPaneBusy(paneId) {
+  const since = busyPanes.get(String(paneId));
+  if (since === undefined) {
+    return false;
+  }
+  if (Date.now() - since > BUSY_TIMEOUT) {
+    busyPanes.delete(String(paneId));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send a prompt now if the pane is idle, otherwise queue it until the turn ends.
+ * With a sessionId, that session is resumed first if the pane is on another one.
+ * Returns true if the prompt was typed into the pane.
+ */
+async function submitPrompt(chatId, threadId, text, paneId, scheduleName = null, sessionId = null) {
+  if (!isPaneBusy(paneId)) {
+    return deliverPrompt(chatId, threadId, text, paneId, scheduleName, sessionId);
+  }
+
+  const id = nextQueuedPromptId++;
+  promptQueue.push({ id, paneId: String(paneId), chatId, threadId, text, scheduleName, sessionId, queuedAt: Date.now() });
+  saveQueue();
+  const position = promptQueue.filter(p => p.paneId === String(paneId)).length;
+  console.log(`Pane ${paneId} is busy, queued prompt #${id}`);
+  await sendMessage(chatId, `⏳ Claude 正在处理上一条消息，已加入队列（#${id}，第 ${position} 位）\n\n/queue 查看队列，/cancel ${id} 取消`, {
+    ...threadOptions(threadId),
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '⚡ 中断并立即发送', callback_data: `pq:now:${id}` },
+        { text: '❌ 取消', callback_data: `pq:cancel:${id}` }
+      ]]
+    }
+  });
+  return false;
+}
+
+/**
+ * Type a prompt into a pane, mark the pane busy and start the typing indicator.
+ * With a sessionId, that session is resumed first if the pane is on another one.
+ * Returns true on success.
+ */
+async function deliverPrompt(chatId, threadId, text, paneId, scheduleName = null, sessionId = null) {
+  try {
+    // Start typing indicator
+    startTypingLoop(chatId, threadId);
+
+    // Switch the pane to the replied-to session and give Claude Code time to load it
+    if (sessionId && paneHookSessions.get(String(paneId)) !== sessionId) {
+      busyPanes.set(String(paneId), Date.now());
+      sendTextToPane(`/resume ${sessionId}`, paneId);
+      savePaneSession(paneId, sessionId);
+      await sendMessage(chatId, `▶️ 正在恢复会话 <code>${escapeHtml(sessionId)}</code> 后发送...`, threadOptions(threadId));
+      await new Promise(resolve => setTimeout(resolve, RESUME_DELAY));
+    }
+
+    // Send message to Claude Code via the terminal backend
+    sendTextToPane(text, paneId);
+    busyPanes.set(String(paneId), Date.now());
+    if (scheduleName) {
+      paneScheduleTags.set(String(paneId), scheduleName);
+    } else {
+      paneScheduleTags.delete(String(paneId));
+    }
+
+    console.log(`Message sent to Claude (pane ${paneId}): ${text.slice(0, 50)}...`);
+    return true;
+  } catch (error) {
+    stopTypingLoop(chatId, threadId);
+    await sendMessage(chatId, `❌ 错误: ${error.message}`, threadOptions(threadId));
+    return false;
+  }
+}
+
+/**
+ * Mark a pane idle and, after a short delay, send the next prompt queued for it
+ */
+function markPaneIdle(paneId) {
+  busyPanes.delete(String(paneId));
+  if (!promptQueue.some(p => p.paneId === String(paneId))) {
+    return;
+  }
+
+  setTimeout(async () => {
+    const next = promptQueue.find(p => p.paneId === String(paneId));
+    if (!next || isPaneBusy(paneId)) {
+      return;
+    }
+    promptQueue = promptQueue.filter(p => p !== next);
+    saveQueue();
+    await sendMessage(next.chatId, `▶️ 发送排队的消息 #${next.id}`, threadOptions(next.threadId));
+    await deliverPrompt(next.chatId, next.threadId, next.text, next.paneId, next.scheduleName, next.sessionId);
+  }, QUEUE_DRAIN_DELAY);
+}
+
+/**
+ * Remove a queued prompt by ID; returns the removed entry or null
+ */
+function cancelQueuedPrompt(id) {
+  const entry = promptQueue.find(p => p.id === id);
+  if (entry) {
+    promptQueue = promptQueue.filter(p => p !== entry);
+    saveQueue();
+  }
+  return entry || null;
+}
+
+/**
+ * Handle the buttons under a queued prompt (pq:now:<id>, pq:cancel:<id>)
+ */
+async function handleQueuedPromptCallback(chatId, threadId, messageId, data) {
+  const [, action, id] = data.split(':');
+  const entry = cancelQueuedPrompt(Number(id));
+  const edit = (text) => telegramApi('editMessageText', { chat_id: chatId, message_id: messageId, text });
+
+  if (!entry) {
+    await edit('⌛ 此消息已不在队列中（已发送或已取消）');
+    return;
+  }
+
+  if (action === 'cancel') {
+    await edit(`❌ 已取消排队的消息 #${entry.id}`);
+    return;
+  }
+
+  // Interrupt the running turn, then type the prompt once Claude is back at its input
+  if (!sendEscapeToPane(entry.paneId)) {
+    promptQueue.unshift(entry);
+    saveQueue();
+    await edit(`❌ 中断失败，消息 #${entry.id} 仍在队列中`);
+    return;
+  }
+  await edit(`⚡ 已中断当前任务，立即发送消息 #${entry.id}`);
+  busyPanes.delete(entry.paneId);
+  await new Promise(resolve => setTimeout(resolve, QUEUE_DRAIN_DELAY));
+  await deliverPrompt(entry.chatId, entry.threadId, entry.text, entry.paneId, entry.scheduleName, entry.sessionId);
+}
+
+/**
+ * Record a guardrail decision in the console and the audit log
+ */
+function logGuardrailEvent(chatId, threadId, user, decision, rule, text) {
+  console.log(`Guardrail ${decision} prompt from user ${user?.id ?? 'unknown'} (rule ${rule}): ${text.slice(0, 50)}`);
+  access.audit({
+    userId: user ? String(user.id) : null,
+    username: user ? user.username || user.first_name || null : null,
+    chatId: String(chatId),
+    threadId,
+    role: user ? access.getRole(user.id) : null,
+    type: 'guardrail',
+    decision,
+    rule,
+    action: text,
+    allowed: decision === 'confirmed'
+  });
+}
+
+/**
+ * Hold a prompt that matched a confirm rule and ask for Send / Cancel
+ */
+async function requestPromptConfirmation(chatId, threadId, user, text, paneId, rule, scheduleName = null, sessionId = null) {
+  const id = nextPendingPromptId++;
+  const timeout = guardrails.confirmTimeout();
+  const preview = text.length > 1000 ? text.slice(0, 1000) + '…' : text;
+
+  const result = await sendMessage(chatId,
+    `⚠️ 此消息匹配需要确认的规则 <code>${escapeHtml(rule)}</code>\n\n` +
+    `<blockquote>${escapeHtml(preview)}</blockquote>\n\n` +
+    `请在 ${Math.round(timeout / 1000)} 秒内确认是否发送到窗格 ${paneId}`,
+    {
+      ...threadOptions(threadId),
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ 发送', callback_data: `guard:send:${id}` },
+          { text: '❌ 取消', callback_data: `guard:cancel:${id}` }
+        ]]
+      }
+    }
+  );
+
+  const timer = setTimeout(() => {
+    pendingPrompts.delete(id);
+    logGuardrailEvent(chatId, threadId, user, 'expired', rule, text);
+    if (result.ok) {
+      telegramApi('editMessageText', {
+        chat_id: chatId,
+        message_id: result.result.message_id,
+        text: '⌛ 确认已超时，消息未发送',
+        parse_mode: 'HTML'
+      });
+    }
+  }, timeout);
+  pendingPrompts.set(id, { chatId, threadId, text, paneId, user, rule, scheduleName, sessionId, timer });
+}
+
+/**
+ * Handle the Send / Cancel buttons of a held prompt (guard:send:<id>, guard:cancel:<id>)
+ */
+async function handlePromptConfirmationCallback(callbackQuery, chatId, threadId, data) {
+  const [, choice, id] = data.split(':');
+  const pending = pendingPrompts.get(Number(id));
+  const messageId = callbackQuery.message.message_id;
+
+  if (!pending) {
+    await telegramApi('editMessageText', {
+      chat_id: chatId,
+      message_id: messageId,
+      text: '⌛ 此确认已失效（已处理或超时）'
+    });
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pendingPrompts.delete(Number(id));
+
+  if (choice !== 'send') {
+    logGuardrailEvent(chatId, threadId, callbackQuery.from, 'cancelled', pending.rule, pending.text);
+    await telegramApi('editMessageText', { chat_id: chatId, message_id: messageId, text: '❌ 已取消，消息未发送' });
+    return;
+  }
+
+  logGuardrailEvent(chatId, threadId, callbackQuery.from, 'confirmed', pending.rule, pending.text);
+  await telegramApi('editMessageText', { chat_id: chatId, message_id: messageId, text: `✅ 已确认，发送到窗格 ${pending.paneId}` });
+  if (!paneExists(pending.paneId)) {
+    await sendMessage(chatId, `❌ 窗格 ${pending.paneId} 已不存在，消息未发送`, threadOptions(threadId));
+    return;
+  }
+  await submitPrompt(chatId, threadId, pending.text, pending.paneId, pending.scheduleName, pending.sessionId);
+}
+
+/**
+ * Split a command template into arguments; single and double quotes group words
+ */
+function splitCommandTemplate(template) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(template)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Run the configured transcription command on an audio file and return the text
+ *
+ * The command runs without a shell; {input} is replaced inside the arguments.
+ */
+async function transcribeAudio(audioPath) {
+  const [command, ...args] = splitCommandTemplate(TRANSCRIBE_COMMAND).map(arg => arg.replace(/\{input\}/g, audioPath));
+  try {
+    const { stdout } = await promisify(execFile)(command, args, { timeout: TRANSCRIBE_TIMEOUT, maxBuffer: 10 * 1024 * 1024 });
+    return stdout.trim();
+  } catch (error) {
+    const detail = (error.stderr || error.message || '').trim().split('\n').slice(-3).join('\n');
+    throw new Error(error.killed ? `识别超时（${TRANSCRIBE_TIMEOUT / 1000} 秒）` : detail);
+  }
+}
+
+/**
+ * Handle voice notes and audio files: transcribe, echo the transcript, then send it to Claude
+ */
+async function handleVoiceMessage(chatId, message, threadId = null) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const audio = message.voice || message.audio;
+
+  if (!TRANSCRIBE_COMMAND) {
+    await reply('⚠️ 未配置语音识别\n\n请在 .env 中设置 TRANSCRIBE_COMMAND（例如本地 whisper.cpp 命令）。');
+    return;
+  }
+
+  // The extension comes from the sender's file name, so only a plain one is kept
+  const fileExtension = path.extname(audio.file_name || '');
+  const extension = /^\.[a-z0-9]{1,5}$/i.test(fileExtension) ? fileExtension : (message.voice ? '.oga' : '.mp3');
+  const audioPath = path.join(os.tmpdir(), `telegram-voice-${audio.file_unique_id}${extension}`);
+
+  let transcript;
+  try {
+    await telegramApi('sendChatAction', { chat_id: chatId, action: 'typing', ...threadOptions(threadId) });
+    const { buffer } = await downloadTelegramFile(audio.file_id);
+    fs.writeFileSync(audioPath, buffer);
+    transcript = await transcribeAudio(audioPath);
+  } catch (error) {
+    console.error('Transcription failed:', error.message);
+    await reply(`❌ 语音识别失败\n\n<pre>${escapeHtml(error.message)}</pre>`);
+    return;
+  } finally {
+    fs.rmSync(audioPath, { force: true });
+  }
+
+  if (!transcript) {
+    await reply('❌ 语音识别失败：没有识别出文字');
+    return;
+  }
+
+  await reply(`🎤 识别结果:\n<blockquote>${escapeHtml(transcript)}</blockquote>`);
+  const { text, target } = resolveReply(chatId, threadId, message, transcript);
+  await handleMessage(chatId, text, threadId, message.from, null, target);
+}
+
+/**
+ * Check a MIME type against the allowed list (supports "image/*" wildcards)
+ */
+function isAllowedMimeType(mimeType) {
+  const type = (mimeType || '').toLowerCase();
+  return INBOX_ALLOWED_TYPES.some(allowed => allowed.endsWith('/*')
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed);
+}
+
+/**
+ * Get (and create) the inbox directory for a pane
+ */
+function getInboxDir(paneId, cwd) {
+  const dir = INBOX_DIR ? path.join(INBOX_DIR, `pane-${paneId}`) : path.join(cwd, '.telegram-inbox');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Keep uploads out of the project's git history
+    fs.writeFileSync(path.join(dir, '.gitignore'), '*\n', 'utf-8');
+  }
+  return dir;
+}
+
+/**
+ * Delete inbox files older than the retention period
+ */
+function cleanupInbox(dir) {
+  const cutoff = Date.now() - INBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const name of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, name);
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.isFile() && name !== '.gitignore' && stat.mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (e) {
+      // ignore files removed concurrently
+    }
+  }
+}
+
+/**
+ * Handle photos and documents: save to the pane's inbox and send Claude a prompt referencing the file
+ */
+async function handleFileMessage(chatId, message, threadId = null) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const isPhoto = Boolean(message.photo);
+  // Photos come in several sizes; the last one is the largest
+  const file = isPhoto ? message.photo[message.photo.length - 1] : message.document;
+  const mimeType = isPhoto ? 'image/jpeg' : message.document.mime_type;
+
+  const paneId = getTargetPaneId(chatId, threadId);
+  if (paneId === null) {
+    await reply('❌ 未选择窗格\n\n请先使用 /setpane 选择 Claude Code 所在的窗格');
+    return;
+  }
+
+  const cwd = getPaneCwd(paneId);
+  if (!cwd && !INBOX_DIR) {
+    await reply('❌ 无法确定窗格的工作目录，请在 .env 中设置 INBOX_DIR');
+    return;
+  }
+
+  if (file.file_size && file.file_size > INBOX_MAX_SIZE) {
+    await reply(`❌ 文件过大（${(file.file_size / 1024 / 1024).toFixed(1)} MB），上限为 ${(INBOX_MAX_SIZE / 1024 / 1024).toFixed(0)} MB`);
+    return;
+  }
+
+  if (!isAllowedMimeType(mimeType)) {
+    await reply(`❌ 不支持的文件类型: ${escapeHtml(mimeType || '未知')}\n\n允许的类型: ${escapeHtml(INBOX_ALLOWED_TYPES.join(', '))}`);
+    return;
+  }
+
+  let savedPath;
+  try {
+    const { buffer, filePath } = await downloadTelegramFile(file.file_id);
+    const inboxDir = getInboxDir(paneId, cwd);
+    cleanupInbox(inboxDir);
+
+    const originalName = isPhoto
+      ? `screenshot${path.extname(filePath) || '.jpg'}`
+      : path.basename(message.document.file_name || filePath);
+    const safeName = originalName.replace(/[^\w.-]+/g, '_');
+    savedPath = path.join(inboxDir, `${Date.now()}-${safeName}`);
+    fs.writeFileSync(savedPath, buffer);
+  } catch (error) {
+    console.error('File download failed:', error.message);
+    await reply(`❌ 文件下载失败: ${escapeHtml(error.message)}`);
+    return;
+  }
+
+  // Reference the file relative to the project when it lives inside it
+  const relative = cwd ? path.relative(cwd, savedPath) : '';
+  const displayPath = relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+    ? `./${relative.split(path.sep).join('/')}`
+    : savedPath;
+
+  const caption = (message.caption || '').trim();
+  const prompt = `See ${isPhoto ? 'screenshot' : 'file'} at ${displayPath}${caption ? `: ${caption}` : ''}`;
+
+  await reply(`📥 已保存到 <code>${escapeHtml(displayPath)}</code>`);
+  await handleMessage(chatId, prompt, threadId, message.from);
+}
+
+/**
+ * Format a token count compactly (12345 -> 12.3k)
+ */
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+/**
+ * Format the turn summary sent by the Stop hook (tools, files, tokens, duration) as a footer line
+ */
+function formatTurnSummary(summary) {
+  if (!summary || typeof summary !== 'object') {
+    return '';
+  }
+
+  const parts = [];
+  const tools = Object.entries(summary.tools || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => (count > 1 ? `${name}×${count}` : name));
+  if (tools.length > 0) {
+    parts.push(`🛠 ${tools.join(', ')}`);
+  }
+
+  const files = Array.isArray(summary.filesTouched) ? summary.filesTouched : [];
+  if (files.length > 0) {
+    parts.push(files.length <= 3 ? `📝 ${files.join(', ')}` : `📝 ${files.slice(0, 3).join(', ')} 等 ${files.length} 个文件`);
+  }
+
+  if (summary.usage) {
+    const { inputTokens = 0, outputTokens = 0, cacheReadTokens = 0, cacheCreationTokens = 0 } = summary.usage;
+    parts.push(`🔢 输入 ${formatTokens(inputTokens + cacheReadTokens + cacheCreationTokens)} / 输出 ${formatTokens(outputTokens)} tokens`);
+  }
+
+  if (summary.durationMs > 0) {
+    const seconds = Math.round(summary.durationMs / 1000);
+    parts.push(`⏱ ${seconds >= 60 ? `${Math.floor(seconds / 60)} 分 ${seconds % 60} 秒` : `${seconds} 秒`}`);
+  }
+
+  return parts.length > 0 ? `\n\n<i>${escapeHtml(parts.join(' · '))}</i>` : '';
+}
+
+/**
+ * Options for a message Claude's turn produced: silent during the chat's quiet hours
+ */
+function notificationOptions(chatId, threadId) {
+  return notifications.isQuietTime(chatId, threadId)
+    ? { ...threadOptions(threadId), disable_notification: true }
+    : threadOptions(threadId);
+}
+
+/**
+ * Rows of quick-action buttons for a reply (QUICK_ACTIONS; macros that no longer exist are skipped)
+ */
+function buildQuickActionRows() {
+  const buttons = [];
+  for (const name of QUICK_ACTIONS) {
+    if (QUICK_ACTION_LABELS[name]) {
+      buttons.push({ text: QUICK_ACTION_LABELS[name], callback_data: `qa:${name}` });
+    } else if (macros[name]) {
+      buttons.push({ text: `⚡ ${name}`, callback_data: `qa:m:${name}` });
+    }
+  }
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += QUICK_ACTIONS_PER_ROW) {
+    rows.push(buttons.slice(i, i + QUICK_ACTIONS_PER_ROW));
+  }
+  return rows;
+}
+
+/**
+ * Handle a quick-action button under a Claude reply (qa:<action> or qa:m:<macro>).
+ * The pane and session come from the reply itself, and are checked because the message may be old.
+ */
+async function handleQuickActionCallback(callbackQuery, chatId, threadId, data) {
+  const reply = (text) => sendMessage(chatId, text, threadOptions(threadId));
+  const [, action, ...rest] = data.split(':');
+  const context = getMessageContext(chatId, callbackQuery.message.message_id);
+  if (!context) {
+    await reply('⌛ 这条消息太旧，已不知道它来自哪个窗格和会话\n\n请直接发送消息或使用命令');
+    return;
+  }
+
+  const paneAlive = context.paneId !== null && paneExists(context.paneId);
+  const currentSession = paneAlive ? paneHookSessions.get(String(context.paneId)) : null;
+  const sessionChanged = Boolean(context.sessionId && currentSession && currentSession !== context.sessionId);
 
-    case '/unmute':
-      isMuted = false;
-      await sendMessage(chatId, '🔔 已取消静音\n\nClaude 的回复将会发送到 Telegram。');
+  switch (action) {
+    case 'continue':
+      // Like a reply to the message: resumes the session if the pane moved on or closed
+      await handleMessage(chatId, CONTINUE_PROMPT, threadId, callbackQuery.from, null, context);
       break;
 
-    case '/refresh':
-      await setupBotCommands();
-      await sendMessage(chatId, '✅ 已刷新机器人命令\n\n请退出聊天并重新进入，或重启 Telegram 查看新命令。');
+    case 'm': {
+      const name = rest.join(':');
+      if (!macros[name]) {
+        await reply(`❌ 宏 ${escapeHtml(name)} 已不存在`);
+        break;
+      }
+      await runMacro(chatId, threadId, callbackQuery.from, name, '', context);
       break;
+    }
 
-    case '/stop':
-      if (weztermSendEscape()) {
-        await sendMessage(chatId, '⏹ 已发送中断信号');
+    case 'stop':
+      if (!paneAlive) {
+        await reply(`❌ 窗格 ${context.paneId ?? '未知'} 已关闭`);
+      } else if (sessionChanged) {
+        await reply(`⚠️ 窗格 ${context.paneId} 已切换到其他会话，未发送中断`);
+      } else if (sendEscapeToPane(context.paneId)) {
+        await reply(`⏹ 已向窗格 ${context.paneId} 发送中断信号`);
+        markPaneIdle(context.paneId);
+        stopTypingLoop(chatId, threadId);
       } else {
-        await sendMessage(chatId, '❌ 发送中断失败');
+        await reply('❌ 发送中断失败');
       }
-      stopTypingLoop();
       break;
 
-    case '/clear':
-      if (findClaudePaneId() !== null) {
-        weztermSendText('/clear');
-        await sendMessage(chatId, '🗑 对话已清除');
-      } else {
-        await sendMessage(chatId, '❌ 未选择窗格');
+    case 'screen':
+      if (!paneAlive) {
+        await reply(`❌ 窗格 ${context.paneId ?? '未知'} 已关闭`);
+        break;
+      }
+      if (sessionChanged) {
+        await reply(`ℹ️ 窗格 ${context.paneId} 已切换到其他会话，以下为当前内容`);
       }
+      await sendScreen(chatId, threadId, null, context.paneId);
       break;
 
-    case '/resume':
-      if (findClaudePaneId() !== null) {
-        weztermSendText('/resume');
-        await sendMessage(chatId, '▶️ 正在恢复之前的会话...');
-      } else {
-        await sendMessage(chatId, '❌ 未选择窗格');
+    case 'diff':
+      if (!context.cwd || !fs.existsSync(context.cwd)) {
+        await reply(`❌ 目录不存在: <code>${escapeHtml(context.cwd || '未知')}</code>`);
+        break;
       }
+      await sendGitDiff(chatId, threadId, '', { paneId: paneAlive ? context.paneId : null, cwd: context.cwd });
       break;
+  }
+}
 
-    default:
-      // Check if it's a blocked command
-      if (BLOCKED_COMMANDS.some(cmd => command.startsWith(cmd))) {
-        await sendMessage(chatId, `⚠️ 命令 ${command} 需要交互式输入，不支持通过 Telegram 使用。`);
-      } else {
-        await sendMessage(chatId, `未知命令: ${command}`);
+/**
+ * Get the first paragraph of a Markdown reply (blank lines inside code fences do not count)
+ */
+function firstParagraph(markdown) {
+  const lines = [];
+  let inFence = false;
+  for (const line of markdown.trim().split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && !line.trim() && lines.length > 0) {
+      break;
+    }
+    lines.push(line);
+  }
+  const paragraph = lines.join('\n');
+  return paragraph.length > SUMMARY_MAX_LENGTH ? paragraph.slice(0, SUMMARY_MAX_LENGTH) + '…' : paragraph;
+}
+
+/**
+ * Queue one of Claude's replies for a chat: as chunks, a document or (in summary-only mode) its first paragraph.
+ * `reply` is { chatId, threadId, paneId, message, cwd, sessionId, images, summary, scheduleName };
+ * `label` adds a line above the header and `full` ignores summary-only mode.
+ */
+function queueReply(reply, { label = null, full = false } = {}) {
+  const { chatId, threadId, paneId = null, message, cwd, sessionId, images, summary, scheduleName } = reply;
+  const options = notificationOptions(chatId, threadId);
+  // Replying to any of these messages (or pressing their buttons) acts on this pane and session
+  const meta = { paneId, sessionId, cwd: cwd || null };
+  const quickActions = buildQuickActionRows();
+  const replyOptions = quickActions.length > 0 ? { ...options, reply_markup: { inline_keyboard: quickActions } } : options;
+
+  // Build message with source info header
+  const cwdDisplay = cwd || '未知目录';
+  const sessionDisplay = sessionId || '未知会话';
+  const labelLine = label ? `${label}\n` : '';
+  const scheduleLine = scheduleName ? `<code>⏰ ${escapeHtml(scheduleName)}</code>\n` : '';
+  const htmlHeader = `${labelLine}${scheduleLine}<code>📁 ${escapeHtml(cwdDisplay)}</code>\n<code>🔖 ${escapeHtml(sessionDisplay)}</code>\n\n`;
+
+  // Replies go through the outbound queue so a network drop does not lose them
+  const summaryText = full || !notifications.getChatSettings(chatId, threadId).summaryOnly ? null : firstParagraph(message);
+  if (summaryText !== null && summaryText.length < message.trim().length) {
+    // Summary-only: the first paragraph, with a button that sends the rest
+    const id = notifications.saveFullReply(reply);
+    queueMessage(chatId, htmlHeader + markdownToTelegramHtml(summaryText) + formatTurnSummary(summary), {
+      ...options,
+      reply_markup: { inline_keyboard: [[{ text: `📖 显示全文（${message.length} 字符）`, callback_data: `full:${id}` }], ...quickActions] }
+    }, meta);
+  } else if (DOCUMENT_THRESHOLD > 0 && message.length > DOCUMENT_THRESHOLD) {
+    // Very long reply: send the full Markdown as a file instead of many chunks
+    const fileName = `claude-reply-${sessionId ? sessionId.slice(0, 8) : 'unknown'}-${Date.now()}.md`;
+    queueDocument(chatId, fileName, message, `${htmlHeader}📄 回复较长（${message.length} 字符），已作为文件发送${formatTurnSummary(summary)}`, replyOptions, meta);
+  } else {
+    // Convert to Telegram HTML and send (split into parts if needed)
+    const htmlMessage = htmlHeader + markdownToTelegramHtml(message) + formatTurnSummary(summary);
+    queueMessage(chatId, htmlMessage, replyOptions, meta);
+  }
+
+  // Images Claude wrote during the turn (opt-in, reported by the hook)
+  if (SEND_WRITTEN_IMAGES && Array.isArray(images)) {
+    for (const imagePath of images) {
+      if (fs.existsSync(imagePath)) {
+        queuePhotoFile(chatId, imagePath, `🖼 <code>${escapeHtml(path.basename(imagePath))}</code>`, options, meta);
       }
+    }
   }
 }
 
 /**
- * Handle regular messages (send to Claude)
+ * Handle hook POST requests (from Claude Code stop hook)
  */
-async function handleMessage(chatId, text) {
-  saveChatId(chatId);
+async function handleHookRequest(body, res) {
+  try {
+    const data = JSON.parse(body);
+    const { message, cwd, sessionId, images, summary } = data;
 
-  // Check if pane is selected
-  const paneId = findClaudePaneId();
-  if (paneId === null) {
-    await sendMessage(chatId, '❌ 未选择窗格\n\n请先执行以下步骤:\n1. /panes - 查看窗格列表\n2. /setpane &lt;id&gt; - 选择 Claude Code 所在的窗格');
-    return;
+    // Route to the chat/topic bound to this session's pane, if any
+    const route = findRouteForHook(sessionId, cwd);
+
+    // The turn is over: mark its progress message as done
+    await finishProgress(sessionId);
+
+    // Remember where this pane's session works, for /diff and /git, and which
+    // session it is on, for replies to this message
+    const hookPaneId = findPaneForHook(route, sessionId, cwd);
+    if (hookPaneId !== null && cwd) {
+      paneHookCwds.set(String(hookPaneId), cwd);
+    }
+    if (hookPaneId !== null && sessionId && paneHookSessions.get(String(hookPaneId)) !== sessionId) {
+      savePaneSession(hookPaneId, sessionId);
+    }
+
+    // Replies to scheduled prompts are tagged with the schedule name
+    // and the pane is idle again, so the next queued prompt (if any) can be sent
+    const scheduleName = hookPaneId !== null ? paneScheduleTags.get(String(hookPaneId)) : null;
+    if (hookPaneId !== null) {
+      paneScheduleTags.delete(String(hookPaneId));
+      markPaneIdle(hookPaneId);
+    }
+
+    // Stop typing indicator
+    if (route) {
+      stopTypingLoop(route.chatId, route.threadId);
+    } else {
+      stopTypingLoop();
+    }
+
+    // Get chat ID (unbound sessions go to the last chat that sent a message)
+    const chatId = route ? route.chatId : getChatId();
+    const threadId = route ? route.threadId : null;
+    if (!chatId) {
+      console.error('No chat ID found');
+      res.writeHead(400);
+      res.end(JSON.stringify({ ok: false, error: 'No chat ID' }));
+      return;
+    }
+
+    if (!message) {
+      console.log('No message to send');
+      res.writeHead(200);
+      res.end(JSON.stringify({ ok: true, empty: true }));
+      return;
+    }
+
+    const replyData = {
+      chatId,
+      threadId,
+      paneId: hookPaneId !== null ? String(hookPaneId) : null,
+      message,
+      cwd,
+      sessionId: sessionId || null,
+      images,
+      summary,
+      scheduleName: scheduleName || null
+    };
+
+    // Muted chats and sessions keep the reply for /missed instead
+    if (notifications.isMuted(chatId, threadId, sessionId || null)) {
+      notifications.saveMissed(replyData);
+      console.log('Muted - reply saved for /missed');
+      res.writeHead(200);
+      res.end(JSON.stringify({ ok: true, muted: true }));
+      return;
+    }
+
+    queueReply(replyData);
+    console.log('Message queued for Telegram');
+    res.writeHead(200);
+    res.end(JSON.stringify({ ok: true, queued: true }));
+  } catch (error) {
+    console.error('Hook request error:', error);
+    res.writeHead(500);
+    res.end(JSON.stringify({ ok: false, error: error.message }));
   }
+}
 
-  // Check for blocked commands being sent as regular text
-  if (BLOCKED_COMMANDS.some(cmd => text.toLowerCase().startsWith(cmd))) {
-    await sendMessage(chatId, `⚠️ 此命令需要交互式输入，不支持通过 Telegram 使用。`);
-    return;
+/**
+ * Format a tool call's input for a permission prompt
+ */
+function formatToolInput(toolName, toolInput) {
+  if (!toolInput) {
+    return '';
+  }
+  let detail;
+  if (toolName === 'Bash' && toolInput.command) {
+    detail = toolInput.command;
+  } else if (toolInput.file_path) {
+    detail = toolInput.file_path;
+  } else {
+    detail = JSON.stringify(toolInput, null, 2);
+  }
+  if (detail.length > 1000) {
+    detail = detail.slice(0, 1000) + '\n...';
   }
+  return `<pre>${escapeHtml(detail)}</pre>`;
+}
 
+/**
+ * Handle PreToolUse hook requests: remember the tool call for a possible permission prompt.
+ * Accepts the Claude Code hook input as-is.
+ */
+async function handleToolHookRequest(body, res) {
   try {
-    // Start typing indicator
-    startTypingLoop(chatId);
+    const { session_id: sessionId, tool_name: toolName, tool_input: toolInput } = JSON.parse(body);
+    if (sessionId && toolName) {
+      pendingToolCalls.set(sessionId, { toolName, toolInput });
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify({ ok: true }));
+  } catch (error) {
+    console.error('Tool hook request error:', error);
+    res.writeHead(500);
+    res.end(JSON.stringify({ ok: false, error: error.message }));
+  }
+}
 
-    // Send message to Claude Code via WezTerm
-    weztermSendText(text);
+/**
+ * Handle Notification hook requests: relay permission prompts with Approve/Deny buttons.
+ * Accepts the Claude Code hook input as-is.
+ */
+async function handleNotificationHookRequest(body, res) {
+  try {
+    const data = JSON.parse(body);
+    const { session_id: sessionId, cwd, message } = data;
 
-    console.log(`Message sent to Claude (pane ${paneId}): ${text.slice(0, 50)}...`);
+    // Only permission prompts need an answer; other notifications are ignored
+    const isPermission = data.notification_type === 'permission_prompt' || /permission/i.test(message || '');
+    if (!isPermission) {
+      res.writeHead(200);
+      res.end(JSON.stringify({ ok: true, ignored: true }));
+      return;
+    }
+
+    const route = findRouteForHook(sessionId, cwd);
+    const chatId = route ? route.chatId : getChatId();
+    const threadId = route ? route.threadId : null;
+    const paneId = findPaneForHook(route, sessionId, cwd);
+
+    if (!chatId || paneId === null) {
+      console.error('Permission prompt received but no chat or pane to relay it to');
+      res.writeHead(400);
+      res.end(JSON.stringify({ ok: false, error: 'No chat ID or pane' }));
+      return;
+    }
+
+    // Claude is waiting on us now, not working
+    stopTypingLoop(chatId, threadId);
+
+    const toolCall = pendingToolCalls.get(sessionId);
+    pendingToolCalls.delete(sessionId);
+
+    let text = `🔐 <b>Claude 请求权限</b>\n<code>📁 ${escapeHtml(cwd || '未知目录')}</code>\n\n${escapeHtml(message || '')}`;
+    if (toolCall) {
+      text += `\n\n工具: <b>${escapeHtml(toolCall.toolName)}</b>\n${formatToolInput(toolCall.toolName, toolCall.toolInput)}`;
+    }
+
+    // Queued like replies so a network drop does not lose the prompt; replying
+    // to it later goes to the same pane and session
+    queueMessage(chatId, text, {
+      ...threadOptions(threadId),
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ 允许', callback_data: `perm:allow:${paneId}` },
+          { text: '✅ 始终允许', callback_data: `perm:always:${paneId}` },
+          { text: '❌ 拒绝', callback_data: `perm:deny:${paneId}` }
+        ]]
+      }
+    }, { paneId: String(paneId), sessionId: sessionId || null, cwd: cwd || null });
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ ok: true, queued: true }));
   } catch (error) {
-    stopTypingLoop();
-    await sendMessage(chatId, `❌ 错误: ${error.message}`);
+    console.error('Notification hook request error:', error);
+    res.writeHead(500);
+    res.end(JSON.stringify({ ok: false, error: error.message }));
   }
 }
 
 /**
- * Handle hook POST requests (from Claude Code stop hook)
+ * Handle a permission button press: type the matching answer into the pane
  */
-async function handleHookRequest(req, res) {
-  let body = '';
+async function handlePermissionCallback(callbackQuery, chatId, threadId, data) {
+  const [, actionName, paneId] = data.split(':');
+  const action = PERMISSION_ACTIONS[actionName];
+  if (!action || !paneId) {
+    return;
+  }
 
-  req.on('data', chunk => {
-    body += chunk.toString();
+  if (!paneExists(paneId)) {
+    await sendMessage(chatId, `❌ 窗格 ${paneId} 已不存在，无法响应权限请求`, threadOptions(threadId));
+    return;
+  }
+
+  try {
+    if (action.text) {
+      terminal.sendText(paneId, action.text);
+    } else {
+      terminal.sendKeys(paneId, action.keys);
+    }
+  } catch (error) {
+    await sendMessage(chatId, `❌ 错误: ${error.message}`, threadOptions(threadId));
+    return;
+  }
+
+  // Remove the buttons so the prompt cannot be answered twice
+  await telegramApi('editMessageReplyMarkup', {
+    chat_id: chatId,
+    message_id: callbackQuery.message.message_id,
+    reply_markup: { inline_keyboard: [] }
+  });
+  await sendMessage(chatId, action.label, {
+    ...threadOptions(threadId),
+    reply_to_message_id: callbackQuery.message.message_id
   });
 
-  req.on('end', async () => {
-    try {
-      const data = JSON.parse(body);
-      const { message, cwd, sessionId } = data;
+  // Claude continues working after an approval
+  if (actionName !== 'deny') {
+    startTypingLoop(chatId, threadId);
+  }
+}
 
-      // Stop typing indicator
-      stopTypingLoop();
+/**
+ * Render the progress message for a turn
+ */
+function renderProgress(progress, done = false) {
+  const title = done ? '✅ <b>已完成</b>' : '⚙️ <b>Claude 工作中...</b>';
+  const hidden = progress.lines.length - PROGRESS_MAX_LINES;
+  const lines = progress.lines.slice(-PROGRESS_MAX_LINES).map(({ summary, detail }) => {
+    const line = `• ${escapeHtml(summary)}`;
+    return detail ? `${line}\n<pre>${escapeHtml(detail.slice(0, 300))}</pre>` : line;
+  });
 
-      // Check if muted
-      if (isMuted) {
-        console.log('Muted - not sending message to Telegram');
-        res.writeHead(200);
-        res.end(JSON.stringify({ ok: true, muted: true }));
-        return;
-      }
+  let text = `${title} (${progress.lines.length} 步)\n<code>📁 ${escapeHtml(progress.cwd || '未知目录')}</code>\n\n`;
+  if (hidden > 0) {
+    text += `<i>…前 ${hidden} 步已省略</i>\n`;
+  }
+  return text + lines.join('\n');
+}
+
+/**
+ * Send or edit the progress message of a session (one request in flight at a time)
+ */
+async function flushProgress(sessionId, done = false) {
+  const progress = progressMessages.get(sessionId);
+  if (!progress || progress.pending) {
+    return;
+  }
+
+  progress.dirty = false;
+  const text = renderProgress(progress, done).slice(0, MAX_MESSAGE_LENGTH);
+
+  progress.pending = progress.messageId
+    ? telegramApi('editMessageText', {
+      chat_id: progress.chatId,
+      message_id: progress.messageId,
+      text,
+      parse_mode: 'HTML'
+    })
+    : telegramApi('sendMessage', {
+      chat_id: progress.chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_notification: true,
+      ...threadOptions(progress.threadId)
+    });
 
-      // Get chat ID
-      const chatId = getChatId();
+  const result = await progress.pending;
+  progress.pending = null;
+  if (result.ok && !progress.messageId) {
+    progress.messageId = result.result.message_id;
+  }
+
+  // Steps that arrived during the request go out with the next edit
+  if (progress.dirty && !done) {
+    scheduleProgressFlush(sessionId);
+  }
+}
+
+/**
+ * Schedule a progress edit, coalescing steps that arrive close together
+ */
+function scheduleProgressFlush(sessionId) {
+  const progress = progressMessages.get(sessionId);
+  if (!progress || progress.timer) {
+    return;
+  }
+  progress.timer = setTimeout(() => {
+    progress.timer = null;
+    flushProgress(sessionId).catch(error => console.error('Progress update failed:', error));
+  }, progress.messageId ? PROGRESS_EDIT_INTERVAL : 0);
+}
+
+/**
+ * Finish the progress message of a session's turn (called when the Stop hook arrives)
+ */
+async function finishProgress(sessionId) {
+  const progress = progressMessages.get(sessionId);
+  if (!progress) {
+    return;
+  }
+  clearTimeout(progress.timer);
+  progress.timer = null;
+  if (progress.pending) {
+    await progress.pending;
+  }
+  await flushProgress(sessionId, true);
+  progressMessages.delete(sessionId);
+}
+
+/**
+ * Handle progress hook requests (from the PostToolUse hook)
+ */
+async function handleProgressHookRequest(body, res) {
+  try {
+    const { sessionId, cwd, summary, detail } = JSON.parse(body);
+
+    if (PROGRESS_MODE === 'off' || !sessionId || !summary) {
+      res.writeHead(200);
+      res.end(JSON.stringify({ ok: true, ignored: true }));
+      return;
+    }
+
+    let progress = progressMessages.get(sessionId);
+    if (!progress) {
+      const route = findRouteForHook(sessionId, cwd);
+      const chatId = route ? route.chatId : getChatId();
       if (!chatId) {
-        console.error('No chat ID found');
         res.writeHead(400);
         res.end(JSON.stringify({ ok: false, error: 'No chat ID' }));
         return;
       }
-
-      if (!message) {
-        console.log('No message to send');
+      const threadId = route ? route.threadId : null;
+      // Muted chats and sessions get no progress messages at all
+      if (notifications.isMuted(chatId, threadId, sessionId)) {
         res.writeHead(200);
-        res.end(JSON.stringify({ ok: true, empty: true }));
+        res.end(JSON.stringify({ ok: true, muted: true }));
         return;
       }
+      progress = { chatId, threadId, cwd, messageId: null, lines: [], dirty: false, timer: null, pending: null };
+      progressMessages.set(sessionId, progress);
+    }
 
-      // Build message with source info header
-      const cwdDisplay = cwd || '未知目录';
-      const sessionDisplay = sessionId || '未知会话';
-      const htmlHeader = `<code>📁 ${cwdDisplay}</code>\n<code>🔖 ${sessionDisplay}</code>\n\n`;
+    progress.lines.push({ summary, detail: PROGRESS_MODE === 'full' ? detail : null });
+    progress.dirty = true;
+    scheduleProgressFlush(sessionId);
 
-      // Convert to Telegram HTML and send
-      const htmlMessage = htmlHeader + markdownToTelegramHtml(message);
-      const result = await sendMessageWithFallback(chatId, htmlMessage);
+    res.writeHead(200);
+    res.end(JSON.stringify({ ok: true }));
+  } catch (error) {
+    console.error('Progress hook request error:', error);
+    res.writeHead(500);
+    res.end(JSON.stringify({ ok: false, error: error.message }));
+  }
+}
 
-      if (result.ok) {
-        console.log('Message sent to Telegram successfully');
-        res.writeHead(200);
-        res.end(JSON.stringify({ ok: true }));
-      } else {
-        console.error('Failed to send message:', result);
-        res.writeHead(500);
-        res.end(JSON.stringify({ ok: false, error: result.description }));
+/**
+ * Handle a single Telegram update (shared by webhook and polling modes)
+ */
+async function handleUpdate(update) {
+  // Handle message updates
+  if (update.message) {
+    const chatId = update.message.chat.id;
+    const threadId = update.message.is_topic_message ? update.message.message_thread_id : null;
+    const text = update.message.text || '';
+
+    // Check authorization
+    if (!isAuthorized(chatId)) {
+      console.log(`Unauthorized access attempt from chat ID: ${chatId}`);
+      await sendMessage(chatId, `⛔ 未授权\n\n您的 Chat ID: <code>${chatId}</code>\n\n请联系管理员将您的 Chat ID 添加到白名单。`);
+      return;
+    }
+
+    // Check the sender's role (prompts, voice messages and uploads need operator)
+    const user = update.message.from;
+    const [commandWord, ...args] = text.split(' ');
+    // Strip the @botname suffix Telegram adds to commands in groups
+    const command = commandWord.toLowerCase().replace(/@\w+$/, '');
+    let type;
+    let action;
+    let required = 'operator';
+    if (update.message.voice || update.message.audio) {
+      type = 'voice';
+      action = '[voice]';
+    } else if (update.message.photo || update.message.document) {
+      type = 'file';
+      action = update.message.document?.file_name || '[photo]';
+    } else if (text.startsWith('/')) {
+      type = 'command';
+      action = [command, ...args].join(' ');
+      const subcommand = args.find(Boolean)?.toLowerCase() || DEFAULT_SUBCOMMANDS[command];
+      required = COMMAND_ROLES[`${command} ${subcommand}`] || COMMAND_ROLES[command] || 'operator';
+    } else if (text.trim()) {
+      type = 'prompt';
+      action = text;
+    } else {
+      return;
+    }
+
+    const { allowed, role } = authorizeUser(chatId, threadId, user, type, action, required);
+    if (!allowed) {
+      console.log(`Denied ${type} from user ${user?.id} (role: ${role || 'none'})`);
+      await sendMessage(chatId, formatDenied(user, role, required), threadOptions(threadId));
+      return;
+    }
+
+    if (type === 'voice') {
+      await handleVoiceMessage(chatId, update.message, threadId);
+    } else if (type === 'file') {
+      await handleFileMessage(chatId, update.message, threadId);
+    } else if (type === 'command') {
+      await handleCommand(chatId, command, args.join(' '), threadId, user);
+    } else {
+      const { text: prompt, target } = resolveReply(chatId, threadId, update.message, text);
+      await handleMessage(chatId, prompt, threadId, user, null, target);
+    }
+  }
+
+  // Handle callback queries (button presses)
+  if (update.callback_query) {
+    const callbackMessage = update.callback_query.message;
+    const chatId = callbackMessage.chat.id;
+    const threadId = callbackMessage.is_topic_message ? callbackMessage.message_thread_id : null;
+    const data = update.callback_query.data;
+
+    // Check authorization for callbacks too
+    if (!isAuthorized(chatId)) {
+      await telegramApi('answerCallbackQuery', {
+        callback_query_id: update.callback_query.id,
+        text: '未授权',
+        show_alert: true
+      });
+      return;
+    }
+
+    // Buttons act on a pane or session, so they need operator; showing a full reply only needs viewer
+    const user = update.callback_query.from;
+    const required = data.startsWith('full:') ? 'viewer' : 'operator';
+    const { allowed, role } = authorizeUser(chatId, threadId, user, 'callback', data, required);
+    if (!allowed) {
+      await telegramApi('answerCallbackQuery', {
+        callback_query_id: update.callback_query.id,
+        text: `权限不足：需要 ${required} 角色，当前角色: ${role || '无'}`,
+        show_alert: true
+      });
+      return;
+    }
+
+    // Acknowledge the callback
+    await telegramApi('answerCallbackQuery', {
+      callback_query_id: update.callback_query.id
+    });
+
+    // Handle the callback action
+    if (data.startsWith('resume:')) {
+      const sessionId = data.replace('resume:', '');
+      try {
+        const paneId = getTargetPaneId(chatId, threadId);
+        sendTextToPane(`/resume ${sessionId}`, paneId);
+        savePaneSession(paneId, sessionId);
+        await sendMessage(chatId, `▶️ 正在恢复会话 ${sessionId}...`, threadOptions(threadId));
+      } catch (error) {
+        await sendMessage(chatId, `❌ 错误: ${error.message}`, threadOptions(threadId));
       }
-    } catch (error) {
-      console.error('Hook request error:', error);
-      res.writeHead(500);
-      res.end(JSON.stringify({ ok: false, error: error.message }));
+    } else if (data.startsWith('resumepage:')) {
+      const page = parseInt(data.replace('resumepage:', ''), 10) || 0;
+      await sendResumePicker(chatId, threadId, page, callbackMessage.message_id);
+    } else if (data.startsWith('git:')) {
+      await handleGitActionCallback(chatId, threadId, data);
+    } else if (data.startsWith('pq:')) {
+      await handleQueuedPromptCallback(chatId, threadId, callbackMessage.message_id, data);
+    } else if (data.startsWith('guard:')) {
+      await handlePromptConfirmationCallback(update.callback_query, chatId, threadId, data);
+    } else if (data.startsWith('perm:')) {
+      await handlePermissionCallback(update.callback_query, chatId, threadId, data);
+    } else if (data.startsWith('full:')) {
+      await handleFullReplyCallback(chatId, threadId, callbackMessage.message_id, data);
+    } else if (data.startsWith('qa:')) {
+      await handleQuickActionCallback(update.callback_query, chatId, threadId, data);
     }
-  });
+  }
 }
 
 /**
@@ -652,92 +3484,167 @@ async function handleTelegramWebhook(req, res) {
     body += chunk.toString();
   });
 
-  req.on('end', async () => {
+  req.on('end', () => {
+    let update;
     try {
-      const update = JSON.parse(body);
-
-      // Handle message updates
-      if (update.message) {
-        const chatId = update.message.chat.id;
-        const text = update.message.text || '';
-
-        // Check authorization
-        if (!isAuthorized(chatId)) {
-          console.log(`Unauthorized access attempt from chat ID: ${chatId}`);
-          await sendMessage(chatId, `⛔ 未授权\n\n您的 Chat ID: <code>${chatId}</code>\n\n请联系管理员将您的 Chat ID 添加到白名单。`);
-          res.writeHead(200);
-          res.end('OK');
-          return;
-        }
+      update = JSON.parse(body);
+    } catch (error) {
+      console.error('Webhook error:', error);
+      res.writeHead(400);
+      res.end('Bad Request');
+      return;
+    }
 
-        if (text.startsWith('/')) {
-          const [command, ...args] = text.split(' ');
-          await handleCommand(chatId, command.toLowerCase(), args.join(' '));
-        } else if (text.trim()) {
-          await handleMessage(chatId, text);
-        }
-      }
+    // Answer first: Telegram resends updates that take too long (e.g. a voice
+    // note being transcribed), which would send the same prompt twice
+    res.writeHead(200);
+    res.end('OK');
+    handleUpdate(update).catch(error => {
+      console.error('Webhook error:', error);
+    });
+  });
+}
 
-      // Handle callback queries (button presses)
-      if (update.callback_query) {
-        const chatId = update.callback_query.message.chat.id;
-        const data = update.callback_query.data;
-
-        // Check authorization for callbacks too
-        if (!isAuthorized(chatId)) {
-          await telegramApi('answerCallbackQuery', {
-            callback_query_id: update.callback_query.id,
-            text: '未授权',
-            show_alert: true
-          });
-          res.writeHead(200);
-          res.end('OK');
-          return;
-        }
+/**
+ * Load the last processed update offset for polling mode
+ */
+function loadUpdateOffset() {
+  return state.get('updateOffset');
+}
 
-        // Acknowledge the callback
-        await telegramApi('answerCallbackQuery', {
-          callback_query_id: update.callback_query.id
-        });
+/**
+ * Save the next update offset so a restart does not replay old updates
+ */
+function saveUpdateOffset(offset) {
+  state.set('updateOffset', offset);
+}
 
-        // Handle the callback action
-        if (data.startsWith('resume:')) {
-          const sessionId = data.replace('resume:', '');
-          weztermSendText(`/resume ${sessionId}`);
-          await sendMessage(chatId, `▶️ Resuming session ${sessionId}...`);
-        }
-      }
+/**
+ * Receive updates via getUpdates long polling (no public URL required)
+ */
+async function startPolling() {
+  // getUpdates is rejected while a webhook is registered
+  const result = await telegramApi('deleteWebhook', { drop_pending_updates: false });
+  if (result.ok) {
+    console.log('Existing webhook removed, using long polling');
+  }
 
-      res.writeHead(200);
-      res.end('OK');
-    } catch (error) {
-      console.error('Webhook error:', error);
-      res.writeHead(500);
-      res.end('Internal Server Error');
+  let offset = loadUpdateOffset();
+
+  while (true) {
+    const response = await telegramApi('getUpdates', {
+      offset,
+      timeout: POLLING_TIMEOUT,
+      allowed_updates: ['message', 'callback_query']
+    });
+
+    if (!response.ok) {
+      await new Promise(resolve => setTimeout(resolve, POLLING_RETRY_DELAY));
+      continue;
+    }
+
+    for (const update of response.result) {
+      // Advance the offset first so a crashing update is not retried forever
+      offset = update.update_id + 1;
+      saveUpdateOffset(offset);
+
+      try {
+        await handleUpdate(update);
+      } catch (error) {
+        console.error('Polling update error:', error);
+      }
     }
+  }
+}
+
+/**
+ * Read a request body as a string
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
   });
 }
 
+/**
+ * Compare two secrets in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a hook request's HMAC-SHA256 signature over "<timestamp>.<body>"
+ */
+function verifyHookSignature(req, body) {
+  const timestamp = req.headers['x-hook-timestamp'];
+  const signature = String(req.headers['x-hook-signature'] || '').replace(/^sha256=/, '');
+  if (!timestamp || !signature || Math.abs(Date.now() - Number(timestamp) * 1000) > HOOK_MAX_SKEW) {
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', HOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return safeEqual(signature, expected);
+}
+
+/**
+ * Register the webhook URL with Telegram together with the secret token
+ */
+async function registerWebhook() {
+  const result = await telegramApi('setWebhook', { url: WEBHOOK_URL, secret_token: WEBHOOK_SECRET });
+  if (result.ok) {
+    console.log(`Webhook registered: ${WEBHOOK_URL}`);
+  } else {
+    console.error('Failed to register webhook:', result.description || result.error);
+  }
+}
+
 /**
  * Main HTTP request handler
  */
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://localhost:${PORT}`);
 
-  // Handle hook endpoint
-  if (url.pathname === '/hook' && req.method === 'POST') {
-    return handleHookRequest(req, res);
+  // Hook endpoints: Stop replies, PreToolUse/Notification permission prompts and PostToolUse progress
+  const hookHandlers = {
+    '/hook': handleHookRequest,
+    '/hook/tool': handleToolHookRequest,
+    '/hook/notification': handleNotificationHookRequest,
+    '/hook/progress': handleProgressHookRequest
+  };
+  if (hookHandlers[url.pathname] && req.method === 'POST') {
+    const body = await readBody(req);
+    if (!verifyHookSignature(req, body)) {
+      console.warn(`Rejected ${url.pathname} request with a missing or invalid signature from ${req.socket.remoteAddress}`);
+      res.writeHead(401);
+      res.end(JSON.stringify({ ok: false, error: 'Invalid signature' }));
+      return;
+    }
+    return hookHandlers[url.pathname](body, res);
   }
 
-  // Handle Telegram webhook (default POST)
-  if (req.method === 'POST') {
+  // Handle Telegram webhook (default POST, webhook mode only)
+  if (req.method === 'POST' && TELEGRAM_MODE === 'webhook') {
+    if (!safeEqual(req.headers['x-telegram-bot-api-secret-token'] || '', WEBHOOK_SECRET)) {
+      console.warn(`Rejected webhook update with a missing or invalid secret token from ${req.socket.remoteAddress}`);
+      res.writeHead(401);
+      res.end('Unauthorized');
+      return;
+    }
     return handleTelegramWebhook(req, res);
   }
 
   // Health check endpoint
   if (url.pathname === '/health' && req.method === 'GET') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ ok: true, muted: isMuted }));
+    const chatId = getChatId();
+    res.end(JSON.stringify({ ok: true, muted: chatId ? notifications.isMuted(chatId, null) : false }));
     return;
   }
 
@@ -754,6 +3661,17 @@ async function main() {
     process.exit(1);
   }
 
+  if (TELEGRAM_MODE !== 'webhook' && TELEGRAM_MODE !== 'polling') {
+    console.error(`Error: TELEGRAM_MODE must be "webhook" or "polling" (got "${TELEGRAM_MODE}")`);
+    process.exit(1);
+  }
+
+  // Telegram only accepts A-Z, a-z, 0-9, _ and - (1-256 characters) as a secret token
+  if (!/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+    console.error('Error: WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)');
+    process.exit(1);
+  }
+
   // Check for ALLOWED_CHAT_IDS
   if (ALLOWED_CHAT_IDS.length === 0) {
     console.error('');
@@ -770,6 +3688,16 @@ async function main() {
   // Setup bot commands
   await setupBotCommands();
 
+  // Resume delivery of messages left over from the last run
+  outbox.start();
+
+  // Start checking schedules
+  scheduler.start();
+
+  if (TELEGRAM_MODE === 'webhook' && WEBHOOK_URL) {
+    await registerWebhook();
+  }
+
   // Create HTTP server
   const server = http.createServer(handleRequest);
 
@@ -778,6 +3706,8 @@ async function main() {
     console.log(`============================`);
     console.log(`Server running on port ${PORT}`);
     console.log(`Bot token: ${BOT_TOKEN.slice(0, 10)}...`);
+    console.log(`Mode: ${TELEGRAM_MODE}`);
+    console.log(`Terminal backend: ${terminal.name}`);
     console.log(`Hook endpoint: http://localhost:${PORT}/hook`);
     if (ALLOWED_CHAT_IDS.length > 0) {
       console.log(`Allowed chat IDs: ${ALLOWED_CHAT_IDS.join(', ')}`);
@@ -785,11 +3715,24 @@ async function main() {
       console.log(`Allowed chat IDs: NONE (all rejected)`);
     }
     console.log(`\nNext steps:`);
-    console.log(`1. Start Claude Code in WezTerm: claude`);
-    console.log(`2. Expose this port to the internet`);
-    console.log(`3. Register webhook with Telegram:`);
-    console.log(`   curl "https://api.telegram.org/bot${BOT_TOKEN}/setWebhook?url=YOUR_PUBLIC_URL"`);
+    console.log(`1. Start Claude Code in ${terminal.displayName}: claude`);
+    if (TELEGRAM_MODE === 'polling') {
+      console.log(`2. Send a message to the bot (updates are fetched via getUpdates)`);
+    } else if (WEBHOOK_URL) {
+      console.log(`2. Send a message to the bot (webhook: ${WEBHOOK_URL})`);
+    } else {
+      console.log(`2. Expose this port to the internet`);
+      console.log(`3. Register webhook with Telegram (or set WEBHOOK_URL to do it automatically):`);
+      console.log(`   curl "https://api.telegram.org/bot${BOT_TOKEN}/setWebhook?url=YOUR_PUBLIC_URL&secret_token=${WEBHOOK_SECRET}"`);
+    }
   });
+
+  if (TELEGRAM_MODE === 'polling') {
+    startPolling().catch(error => {
+      console.error('Polling loop crashed:', error);
+      process.exit(1);
+    });
+  }
 }
 
 main().catch(console.error);
@@ -0,0 +1,134 @@
+/**
+ * Prompt guardrails
+ *
+ * Classifies prompts from Telegram as allow, confirm or deny before they are
+ * typed into a pane. Rules live in a JSON file that is reloaded when it changes:
+ *   {
+ *     "maxLength": 4000,
+ *     "confirmTimeout": 60,
+ *     "deny":    { "patterns": ["..."], "keywords": ["..."] },
+ *     "confirm": { "patterns": ["..."], "keywords": ["..."] },
+ *     "allow":   { "patterns": ["..."], "keywords": ["..."] }
+ *   }
+ * Patterns are case-insensitive regular expressions, keywords are
+ * case-insensitive substrings. Deny wins over everything, allow exempts a
+ * prompt from confirm rules, and prompts that match nothing are allowed.
+ * Prompts longer than maxLength are denied.
+ */
+
+import fs from 'node:fs';
+
+// Used when no rules file exists
+const DEFAULT_RULES = {
+  maxLength: 4000,
+  confirmTimeout: 60,
+  deny: {
+    patterns: ['\\brm\\s+-[a-z]*(rf|fr)[a-z]*\\s+(/|~|\\$HOME)(\\s|$)', '\\bmkfs(\\.\\w+)?\\s', '\\bdd\\s+[^\\n]*\\bof=/dev/'],
+    keywords: []
+  },
+  confirm: {
+    patterns: [
+      '\\brm\\s+-[a-z]*[rf]',
+      '\\bgit\\s+push\\b',
+      '\\bgit\\s+reset\\s+--hard\\b',
+      '\\bgit\\s+clean\\s+-[a-z]*f',
+      '--force\\b',
+      '--no-verify\\b',
+      '\\bdrop\\s+(table|database)\\b',
+      '\\bnpm\\s+publish\\b'
+    ],
+    keywords: ['production', '生产环境']
+  },
+  allow: {
+    patterns: [],
+    keywords: []
+  }
+};
+
+/**
+ * Compile one rule set ({ patterns, keywords }) into named matchers
+ */
+function compileRuleSet(ruleSet = {}) {
+  const matchers = [];
+  for (const pattern of ruleSet.patterns || []) {
+    try {
+      const regex = new RegExp(pattern, 'i');
+      matchers.push({ name: `/${pattern}/`, test: text => regex.test(text) });
+    } catch (e) {
+      console.error(`Invalid guardrail pattern ${pattern}:`, e.message);
+    }
+  }
+  for (const keyword of ruleSet.keywords || []) {
+    const needle = String(keyword).toLowerCase();
+    if (needle) {
+      matchers.push({ name: `"${keyword}"`, test: text => text.toLowerCase().includes(needle) });
+    }
+  }
+  return matchers;
+}
+
+/**
+ * Create the guardrails for a rules file
+ */
+export function createGuardrails({ file }) {
+  let rules;
+
+  /**
+   * (Re)load the rules file; a broken file keeps the previous rules
+   */
+  function reload() {
+    let config = DEFAULT_RULES;
+    if (fs.existsSync(file)) {
+      try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        console.log(`Loaded guardrail rules from ${file}`);
+      } catch (e) {
+        console.error('Failed to load guardrail rules, keeping previous rules:', e.message);
+        if (rules) {
+          return;
+        }
+        config = DEFAULT_RULES;
+      }
+    }
+
+    rules = {
+      maxLength: config.maxLength ?? DEFAULT_RULES.maxLength,
+      confirmTimeout: (config.confirmTimeout ?? DEFAULT_RULES.confirmTimeout) * 1000,
+      deny: compileRuleSet(config.deny),
+      confirm: compileRuleSet(config.confirm),
+      allow: compileRuleSet(config.allow)
+    };
+  }
+
+  /**
+   * Classify a prompt. Returns { action: 'allow' | 'confirm' | 'deny', rule }.
+   */
+  function classify(text) {
+    if (rules.maxLength && text.length > rules.maxLength) {
+      return { action: 'deny', rule: `maxLength ${rules.maxLength}` };
+    }
+    const denied = rules.deny.find(m => m.test(text));
+    if (denied) {
+      return { action: 'deny', rule: denied.name };
+    }
+    const allowed = rules.allow.find(m => m.test(text));
+    if (allowed) {
+      return { action: 'allow', rule: allowed.name };
+    }
+    const confirm = rules.confirm.find(m => m.test(text));
+    if (confirm) {
+      return { action: 'confirm', rule: confirm.name };
+    }
+    return { action: 'allow', rule: null };
+  }
+
+  reload();
+  // Pick up edits to the rules file without a restart
+  fs.watchFile(file, { interval: 2000, persistent: false }, reload);
+
+  return {
+    classify,
+    reload,
+    confirmTimeout: () => rules.confirmTimeout
+  };
+}
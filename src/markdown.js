@@ -0,0 +1,411 @@
+/**
+ * Markdown to Telegram HTML
+ *
+ * Telegram only understands a small HTML subset (b, i, u, s, a, code, pre,
+ * blockquote), so headings become bold lines, lists become bullet lines and
+ * tables become aligned <pre> blocks. Every tag the renderer opens is closed
+ * by the same call that opened it, and all text goes through escapeHtml, so
+ * the output is always well-formed.
+ */
+
+// Link schemes Telegram accepts in <a href>
+const LINK_SCHEMES = /^(https?:\/\/|tg:\/\/|mailto:)/i;
+
+// Inline delimiters, longest first: [delimiter, tag]
+const EMPHASIS = [
+  ['**', 'b'],
+  ['__', 'u'],
+  ['~~', 's'],
+  ['*', 'i'],
+  ['_', 'i']
+];
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Escape HTML special characters for Telegram HTML messages
+ */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside a double-quoted HTML attribute
+ */
+function escapeAttribute(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;');
+}
+
+/**
+ * ASCII letters, digits and "/" count as "inside a word" for emphasis
+ * (so file globs like src/*.js and snake_case stay literal, while CJK text still works)
+ */
+function isWordChar(char) {
+  return char !== undefined && /[A-Za-z0-9/]/.test(char);
+}
+
+/**
+ * Find the end of a backtick code span starting at `start`, or -1
+ */
+function findCodeSpanEnd(text, start) {
+  const run = text.slice(start).match(/^`+/)[0];
+  let i = start + run.length;
+  while (i < text.length) {
+    if (text[i] !== '`') {
+      i++;
+      continue;
+    }
+    // The closing run must be exactly as long as the opening one
+    const closing = text.slice(i).match(/^`+/)[0];
+    if (closing.length === run.length) {
+      return i + closing.length;
+    }
+    i += closing.length;
+  }
+  return -1;
+}
+
+/**
+ * Find a valid closing delimiter for emphasis opened before `from`, skipping code spans
+ */
+function findCloser(text, delimiter, from) {
+  let i = from;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '`') {
+      const end = findCodeSpanEnd(text, i);
+      i = end === -1 ? i + 1 : end;
+      continue;
+    }
+    if (text.startsWith(delimiter, i)) {
+      const before = text[i - 1];
+      const after = text[i + delimiter.length];
+      if (i > from && !/\s/.test(before) && !isWordChar(after) && after !== delimiter[0]) {
+        return i;
+      }
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Parse a [text](url) link starting at `start`; returns { label, url, end } or null
+ */
+function parseLink(text, start) {
+  let depth = 0;
+  let i = start;
+  for (; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']') {
+      depth--;
+      if (depth === 0) {
+        break;
+      }
+    }
+  }
+  if (depth !== 0 || text[i + 1] !== '(') {
+    return null;
+  }
+
+  // The URL ends at the first unbalanced ")", so URLs like .../Foo_(bar) stay whole
+  let close = i + 2;
+  for (let parens = 0; close < text.length; close++) {
+    if (text[close] === '(') {
+      parens++;
+    } else if (text[close] === ')') {
+      if (parens === 0) {
+        break;
+      }
+      parens--;
+    }
+  }
+  if (close === text.length) {
+    return null;
+  }
+  // Drop an optional "title"
+  const url = text.slice(i + 2, close).trim().replace(/\s+"[^"]*"$/, '');
+  if (!url || /\s/.test(url)) {
+    return null;
+  }
+  return { label: text.slice(start + 1, i), url, end: close + 1 };
+}
+
+/**
+ * Render inline Markdown (code, links, emphasis) to Telegram HTML
+ */
+function renderInline(text, inLink = false) {
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    // Backslash escapes
+    if (char === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+      out += escapeHtml(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    // Code spans
+    if (char === '`') {
+      const end = findCodeSpanEnd(text, i);
+      if (end !== -1) {
+        const run = text.slice(i).match(/^`+/)[0].length;
+        out += `<code>${escapeHtml(text.slice(i + run, end - run).trim())}</code>`;
+        i = end;
+        continue;
+      }
+      const run = text.slice(i).match(/^`+/)[0];
+      out += escapeHtml(run);
+      i += run.length;
+      continue;
+    }
+
+    // Links: [text](url) and <https://...>
+    if (char === '[' && !inLink) {
+      const link = parseLink(text, i);
+      if (link) {
+        const label = renderInline(link.label, true);
+        out += LINK_SCHEMES.test(link.url)
+          ? `<a href="${escapeAttribute(link.url)}">${label}</a>`
+          : `${label} (<code>${escapeHtml(link.url)}</code>)`;
+        i = link.end;
+        continue;
+      }
+    }
+    if (char === '<' && !inLink) {
+      const match = text.slice(i).match(/^<((?:https?|tg|mailto):[^\s<>]+)>/i);
+      if (match) {
+        out += `<a href="${escapeAttribute(match[1])}">${escapeHtml(match[1])}</a>`;
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Emphasis: opener must not follow a word character and must be followed by
+    // non-space; "*." starts a glob like *.md rather than emphasis
+    const emphasis = EMPHASIS.find(([delimiter]) => text.startsWith(delimiter, i));
+    if (emphasis) {
+      const [delimiter, tag] = emphasis;
+      const after = text[i + delimiter.length];
+      if (!isWordChar(text[i - 1]) && after !== undefined && !/\s/.test(after) && !(delimiter === '*' && after === '.')) {
+        const close = findCloser(text, delimiter, i + delimiter.length);
+        if (close !== -1) {
+          out += `<${tag}>${renderInline(text.slice(i + delimiter.length, close), inLink)}</${tag}>`;
+          i = close + delimiter.length;
+          continue;
+        }
+      }
+      out += escapeHtml(delimiter);
+      i += delimiter.length;
+      continue;
+    }
+
+    out += escapeHtml(char);
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Strip inline Markdown to plain text (for table cells inside <pre>)
+ */
+function stripInline(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__|~~)(?=\S)(.+?)\1/g, '$2')
+    .replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+/**
+ * Display width of a string in a monospace font (wide CJK and emoji count as 2)
+ */
+function displayWidth(str) {
+  let width = 0;
+  for (const char of str) {
+    width += /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{1F300}-\u{1FAFF}]/u.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * Split a table row into trimmed cells
+ */
+function splitRow(line) {
+  const cells = [];
+  let cell = '';
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (trimmed[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += trimmed[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Render a Markdown table as an aligned <pre> block
+ */
+function renderTable(headerLine, separatorLine, rowLines) {
+  const alignments = splitRow(separatorLine).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) {
+      return 'center';
+    }
+    return cell.endsWith(':') ? 'right' : 'left';
+  });
+
+  const rows = [headerLine, ...rowLines].map(line => splitRow(line).map(stripInline));
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const widths = Array.from({ length: columnCount }, (_, column) =>
+    Math.max(1, ...rows.map(row => displayWidth(row[column] || ''))));
+
+  const pad = (text, column) => {
+    const space = widths[column] - displayWidth(text);
+    if (alignments[column] === 'right') {
+      return ' '.repeat(space) + text;
+    }
+    if (alignments[column] === 'center') {
+      const left = Math.floor(space / 2);
+      return ' '.repeat(left) + text + ' '.repeat(space - left);
+    }
+    return text + ' '.repeat(space);
+  };
+
+  const format = row => widths.map((_, column) => pad(row[column] || '', column)).join(' | ').replace(/\s+$/, '');
+  const lines = [format(rows[0]), widths.map(width => '-'.repeat(width)).join('-+-'), ...rows.slice(1).map(format)];
+  return `<pre>${escapeHtml(lines.join('\n'))}</pre>`;
+}
+
+/**
+ * Render a list item line with its nesting, bullet and task checkbox
+ */
+function renderListItem(match) {
+  const [, indent, marker, content] = match;
+  const level = Math.floor(indent.replace(/\t/g, '    ').length / 2);
+  const task = content.match(/^\[([ xX])\]\s+(.*)$/);
+  const bullet = /\d/.test(marker) ? marker.replace(')', '.') : '•';
+  if (task) {
+    return `${'  '.repeat(level)}${task[1] === ' ' ? '☐' : '☑'} ${renderInline(task[2])}`;
+  }
+  return `${'  '.repeat(level)}${bullet} ${renderInline(content)}`;
+}
+
+/**
+ * Convert Markdown to Telegram HTML
+ */
+export function markdownToTelegramHtml(markdown) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(renderInline(paragraph.join('\n')));
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block (an unclosed fence runs to the end)
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1][0].repeat(fence[1].length)) && lines[i].trim().replace(/[`~]/g, '') === '')) {
+        code.push(lines[i]);
+        i++;
+      }
+      const language = /^[\w#+.-]+$/.test(fence[2]) ? fence[2] : '';
+      const classAttr = language ? ` class="language-${escapeAttribute(language)}"` : '';
+      blocks.push(`<pre><code${classAttr}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      blocks.push('');
+      continue;
+    }
+
+    // Table: a row with pipes followed by a separator row
+    if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('|')) {
+      flushParagraph();
+      const rows = [];
+      let j = i + 2;
+      while (j < lines.length && lines[j].includes('|') && lines[j].trim()) {
+        rows.push(lines[j]);
+        j++;
+      }
+      blocks.push(renderTable(line, lines[i + 1], rows));
+      i = j - 1;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      blocks.push(`<b>${renderInline(heading[2])}</b>`);
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flushParagraph();
+      blocks.push('──────────');
+      continue;
+    }
+
+    // Blockquote: consecutive ">" lines (Telegram does not nest quotes, so inner ">" is dropped)
+    if (QUOTE.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1].replace(/^(\s*>\s?)+/, ''));
+        i++;
+      }
+      i--;
+      blocks.push(`<blockquote>${quoted.map(q => renderInline(q)).join('\n')}</blockquote>`);
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem && !RULE.test(line)) {
+      flushParagraph();
+      blocks.push(renderListItem(listItem));
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  // Collapse runs of blank lines and trim the ends
+  return blocks.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,253 @@
+/**
+ * Notification settings
+ *
+ * Each chat (or forum topic) can be muted, optionally until a given time, can
+ * have quiet hours during which replies are sent without a notification sound,
+ * and can switch to summary-only replies. Sessions can be muted on their own.
+ * Replies held back by a mute are kept so they can be replayed with /missed.
+ * Everything is persisted in the bridge state store.
+ */
+
+// Replies kept for /missed and for the "show full" button (oldest are dropped)
+const MAX_MISSED = 50;
+const MAX_FULL_REPLIES = 20;
+
+// Units accepted by parseDuration
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "30m", "2h", "1d" or "1h30m" into milliseconds, or null
+ */
+export function parseDuration(text) {
+  const match = String(text).trim().toLowerCase().match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m(?:in)?)?$/);
+  if (!match || (!match[1] && !match[2] && !match[3])) {
+    return null;
+  }
+  const ms = (Number(match[1] || 0) * DURATION_UNITS.d) + (Number(match[2] || 0) * DURATION_UNITS.h) + (Number(match[3] || 0) * DURATION_UNITS.m);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Parse quiet hours like "23:00-08:00" into { start, end } ("HH:MM"), or null
+ */
+export function parseQuietHours(text) {
+  const match = String(text).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [hourA, minuteA, hourB, minuteB] = match.slice(1).map(Number);
+  if (hourA > 23 || hourB > 23 || minuteA > 59 || minuteB > 59) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return { start: `${pad(hourA)}:${pad(minuteA)}`, end: `${pad(hourB)}:${pad(minuteB)}` };
+}
+
+/**
+ * Minutes since midnight of an "HH:MM" string
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Key of a chat or forum topic
+ */
+function chatKey(chatId, threadId) {
+  return `${chatId}:${threadId || ''}`;
+}
+
+/**
+ * Check whether a mute entry ({ muted, muteUntil }) is in effect
+ */
+function isMuteActive(settings, now) {
+  return Boolean(settings?.muted) && (settings.muteUntil === null || settings.muteUntil > now);
+}
+
+/**
+ * Create the notification settings backed by a state store
+ */
+export function createNotificationSettings({ state }) {
+  let nextId = Math.max(0, ...state.get('missedReplies').map(r => r.id), ...state.get('fullReplies').map(r => r.id)) + 1;
+
+  /**
+   * Change the settings of one chat (or session) and save them
+   */
+  function updateSettings(kind, key, change) {
+    state.update(current => {
+      const entries = current.notifications[kind];
+      entries[key] = { ...entries[key] };
+      change(entries[key]);
+      // Drop entries that no longer hold anything
+      if (Object.values(entries[key]).every(value => value === null || value === false)) {
+        delete entries[key];
+      }
+    });
+  }
+
+  /**
+   * Settings of a chat: { muted, muteUntil, quietHours, summaryOnly }
+   */
+  function getChatSettings(chatId, threadId) {
+    return state.get('notifications').chats[chatKey(chatId, threadId)] || {};
+  }
+
+  /**
+   * Mute a chat, until `until` (ms) or indefinitely when null
+   */
+  function muteChat(chatId, threadId, until = null) {
+    updateSettings('chats', chatKey(chatId, threadId), settings => {
+      settings.muted = true;
+      settings.muteUntil = until;
+    });
+  }
+
+  /**
+   * Unmute a chat
+   */
+  function unmuteChat(chatId, threadId) {
+    updateSettings('chats', chatKey(chatId, threadId), settings => {
+      settings.muted = false;
+      settings.muteUntil = null;
+    });
+  }
+
+  /**
+   * Mute a session, until `until` (ms) or indefinitely when null
+   */
+  function muteSession(sessionId, until = null) {
+    updateSettings('sessions', sessionId, settings => {
+      settings.muted = true;
+      settings.muteUntil = until;
+    });
+  }
+
+  /**
+   * Unmute a session
+   */
+  function unmuteSession(sessionId) {
+    updateSettings('sessions', sessionId, settings => {
+      settings.muted = false;
+      settings.muteUntil = null;
+    });
+  }
+
+  /**
+   * Mute state of a chat or session: null when not muted, otherwise { until } (until null = indefinitely)
+   */
+  function muteStatus(kind, key, now = Date.now()) {
+    const settings = state.get('notifications')[kind][key];
+    return isMuteActive(settings, now) ? { until: settings.muteUntil } : null;
+  }
+
+  /**
+   * Check whether replies for a chat (and optionally a session) are held back
+   */
+  function isMuted(chatId, threadId, sessionId = null, now = Date.now()) {
+    return muteStatus('chats', chatKey(chatId, threadId), now) !== null
+      || (sessionId !== null && muteStatus('sessions', sessionId, now) !== null);
+  }
+
+  /**
+   * Set or clear (null) a chat's quiet hours
+   */
+  function setQuietHours(chatId, threadId, quietHours) {
+    updateSettings('chats', chatKey(chatId, threadId), settings => {
+      settings.quietHours = quietHours;
+    });
+  }
+
+  /**
+   * Check whether a chat is inside its quiet hours (local time)
+   */
+  function isQuietTime(chatId, threadId, date = new Date()) {
+    const quietHours = getChatSettings(chatId, threadId).quietHours;
+    if (!quietHours) {
+      return false;
+    }
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    // A range like 23:00-08:00 wraps around midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Turn summary-only replies on or off for a chat
+   */
+  function setSummaryOnly(chatId, threadId, enabled) {
+    updateSettings('chats', chatKey(chatId, threadId), settings => {
+      settings.summaryOnly = enabled;
+    });
+  }
+
+  /**
+   * Save a reply held back by a mute; `reply` is the hook payload plus chat and schedule info
+   */
+  function saveMissed(reply) {
+    state.update(current => {
+      current.missedReplies.push({ id: nextId++, time: Date.now(), ...reply });
+      current.missedReplies = current.missedReplies.slice(-MAX_MISSED);
+    });
+  }
+
+  /**
+   * Count the missed replies of a chat
+   */
+  function countMissed(chatId, threadId) {
+    const key = chatKey(chatId, threadId);
+    return state.get('missedReplies').filter(r => chatKey(r.chatId, r.threadId) === key).length;
+  }
+
+  /**
+   * Remove and return the missed replies of a chat, oldest first
+   */
+  function takeMissed(chatId, threadId) {
+    const key = chatKey(chatId, threadId);
+    let taken = [];
+    state.update(current => {
+      taken = current.missedReplies.filter(r => chatKey(r.chatId, r.threadId) === key);
+      current.missedReplies = current.missedReplies.filter(r => chatKey(r.chatId, r.threadId) !== key);
+    });
+    return taken;
+  }
+
+  /**
+   * Keep the full text of a reply sent as a summary; returns its ID for the button
+   */
+  function saveFullReply(reply) {
+    const id = nextId++;
+    state.update(current => {
+      current.fullReplies.push({ id, time: Date.now(), ...reply });
+      current.fullReplies = current.fullReplies.slice(-MAX_FULL_REPLIES);
+    });
+    return id;
+  }
+
+  /**
+   * Get the full reply saved under an ID, or null if it has been dropped
+   */
+  function getFullReply(id) {
+    return state.get('fullReplies').find(r => r.id === id) || null;
+  }
+
+  return {
+    getChatSettings,
+    muteChat,
+    unmuteChat,
+    muteSession,
+    unmuteSession,
+    chatMuteStatus: (chatId, threadId) => muteStatus('chats', chatKey(chatId, threadId)),
+    sessionMuteStatus: (sessionId) => muteStatus('sessions', sessionId),
+    isMuted,
+    setQuietHours,
+    isQuietTime,
+    setSummaryOnly,
+    saveMissed,
+    countMissed,
+    takeMissed,
+    saveFullReply,
+    getFullReply
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Outbound delivery queue
+ *
+ * Messages are persisted to disk before sending, delivered in order per chat,
+ * throttled to Telegram's rate limits and retried with backoff on 429, 5xx and
+ * network errors, so a reply survives a network drop or a bridge restart.
+ */
+
+import fs from 'node:fs';
+
+// Telegram allows about 30 messages/second overall, 1/second per chat and 20/minute per group
+const GLOBAL_INTERVAL = 1000 / 30;
+const CHAT_INTERVAL = 1000;
+const GROUP_INTERVAL = 3000;
+
+// Retry policy
+const MAX_ATTEMPTS = 10;
+const MAX_BACKOFF = 5 * 60 * 1000;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a failed Bot API response is worth retrying
+ */
+function isRetryable(result) {
+  // Network errors have no error_code; 429 and 5xx are transient
+  return !result.error_code || result.error_code === 429 || result.error_code >= 500;
+}
+
+/**
+ * Create a persistent outbound queue.
+ * `send(job)` performs the Bot API call for a job and resolves to its response;
+ * `onSent(job, message)` (optional) is called with the sent Telegram message.
+ */
+export function createOutbox({ file, send, onSent = null }) {
+  let jobs = [];
+  let nextId = 1;
+  let timer = null;
+  let running = false;
+  let lastSentAt = 0;
+  const chatSentAt = new Map();
+
+  if (fs.existsSync(file)) {
+    try {
+      jobs = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      nextId = jobs.reduce((max, job) => Math.max(max, job.id), 0) + 1;
+      if (jobs.length > 0) {
+        console.log(`Loaded ${jobs.length} pending outbound message(s)`);
+      }
+    } catch (e) {
+      console.error('Failed to load outbound queue:', e.message);
+    }
+  }
+
+  /**
+   * Write the queue to disk (write + rename so a crash never leaves half a file)
+   */
+  function persist() {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(jobs), 'utf-8');
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * Earliest time a job may be sent, given its backoff and the rate limits
+   */
+  function readyAt(job) {
+    const chatInterval = String(job.chatId).startsWith('-') ? GROUP_INTERVAL : CHAT_INTERVAL;
+    return Math.max(
+      job.nextAttemptAt,
+      lastSentAt + GLOBAL_INTERVAL,
+      (chatSentAt.get(String(job.chatId)) || 0) + chatInterval
+    );
+  }
+
+  /**
+   * The first job of every chat, so each chat keeps its order without blocking the others
+   */
+  function headJobs() {
+    const seen = new Set();
+    return jobs.filter(job => {
+      const key = String(job.chatId);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Arm the timer for the next job that becomes ready
+   */
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (running || jobs.length === 0) {
+      return;
+    }
+    const next = Math.min(...headJobs().map(readyAt));
+    timer = setTimeout(processNext, Math.max(0, next - Date.now()));
+  }
+
+  /**
+   * Send the next ready job and handle its outcome
+   */
+  async function processNext() {
+    const now = Date.now();
+    const job = headJobs().find(j => readyAt(j) <= now);
+    if (!job) {
+      schedule();
+      return;
+    }
+
+    running = true;
+    let result;
+    try {
+      result = await send(job);
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    }
+    lastSentAt = Date.now();
+    chatSentAt.set(String(job.chatId), lastSentAt);
+    job.attempts++;
+
+    if (result.ok) {
+      jobs = jobs.filter(j => j !== job);
+      if (onSent) {
+        try {
+          onSent(job, result.result);
+        } catch (error) {
+          console.error(`onSent failed for outbound message ${job.id}:`, error.message);
+        }
+      }
+    } else if (!isRetryable(result) || job.attempts >= MAX_ATTEMPTS || now - job.createdAt > MAX_AGE) {
+      console.error(`Dropping outbound message ${job.id} after ${job.attempts} attempt(s):`, result.description || result.error);
+      jobs = jobs.filter(j => j !== job);
+    } else {
+      const retryAfter = result.parameters?.retry_after;
+      const backoff = retryAfter
+        ? retryAfter * 1000
+        : Math.min(1000 * 2 ** job.attempts, MAX_BACKOFF) + Math.floor(Math.random() * 1000);
+      job.nextAttemptAt = Date.now() + backoff;
+      job.lastError = result.description || result.error || `HTTP ${result.error_code}`;
+      console.error(`Outbound message ${job.id} failed (${job.lastError}), retrying in ${Math.round(backoff / 1000)}s`);
+    }
+
+    persist();
+    running = false;
+    schedule();
+  }
+
+  /**
+   * Add a job: { chatId, method, body, file?, meta? } where file is { field, name, data (base64) }
+   * and meta is passed back to onSent unchanged
+   */
+  function enqueue({ chatId, method, body, file: upload, meta = null }) {
+    const job = {
+      id: nextId++,
+      chatId: String(chatId),
+      method,
+      body,
+      file: upload,
+      meta,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: 0,
+      lastError: null
+    };
+    jobs.push(job);
+    persist();
+    schedule();
+    return job.id;
+  }
+
+  return {
+    enqueue,
+    list: () => jobs.slice(),
+    start: schedule
+  };
+}
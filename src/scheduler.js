@@ -0,0 +1,227 @@
+/**
+ * Scheduled prompts
+ *
+ * Schedules are either recurring (a five-field cron expression: minute, hour,
+ * day of month, month, day of week, in local time) or one-off (a timestamp).
+ * They are kept in the bridge state store and checked once a minute; a one-off
+ * schedule is removed after it runs.
+ */
+
+// Ranges of the five cron fields
+const CRON_FIELDS = [
+  { name: '分钟', min: 0, max: 59 },
+  { name: '小时', min: 0, max: 23 },
+  { name: '日期', min: 1, max: 31 },
+  { name: '月份', min: 1, max: 12 },
+  { name: '星期', min: 0, max: 7 }
+];
+
+// Shortcuts accepted in place of the five fields
+const CRON_SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// One-off schedules missed by more than this (e.g. the bridge was down) are dropped
+const MAX_LATENESS = 60 * 60 * 1000;
+
+// How far ahead nextCronRun looks before giving up
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "1,15,30") into a Set of values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`无效的${name}字段: ${text}`);
+    }
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name}字段超出范围 (${min}-${max}): ${text}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression (five fields or a shortcut like @daily)
+ */
+export function parseCron(expression) {
+  const fields = (CRON_SHORTCUTS[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('cron 表达式需要 5 个字段: 分 时 日 月 星期');
+  }
+  const [minute, hour, dom, month, dow] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  // 7 is Sunday too
+  if (dow.has(7)) {
+    dow.add(0);
+  }
+  return { minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*' };
+}
+
+/**
+ * Check whether a parsed cron expression matches a date (to the minute)
+ */
+export function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) || !cron.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+  // Like cron, a restricted day of month and day of week match if either does
+  const domMatch = cron.dom.has(date.getDate());
+  const dowMatch = cron.dow.has(date.getDay());
+  if (cron.domAny || cron.dowAny) {
+    return (cron.domAny || domMatch) && (cron.dowAny || dowMatch);
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Find the next time after `from` that a cron expression matches, or null
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (cronMatches(cron, date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a persistent scheduler backed by a state store.
+ * `run(schedule)` is called when a schedule is due.
+ */
+export function createScheduler({ state, run }) {
+  let schedules = state.get('schedules');
+  let nextId = schedules.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+  let timer = null;
+
+  if (schedules.length > 0) {
+    console.log(`Loaded ${schedules.length} schedule(s)`);
+  }
+
+  /**
+   * Save the schedules in the state store
+   */
+  function persist() {
+    state.set('schedules', schedules);
+  }
+
+  /**
+   * Run every schedule that is due this minute, then wait for the next minute
+   */
+  function tick() {
+    const now = new Date();
+    const minuteKey = Math.floor(now.getTime() / 60000);
+    let changed = false;
+
+    for (const schedule of schedules.slice()) {
+      if (schedule.runAt !== undefined && schedule.runAt !== null) {
+        if (schedule.runAt > now.getTime()) {
+          continue;
+        }
+        schedules = schedules.filter(s => s !== schedule);
+        changed = true;
+        if (now.getTime() - schedule.runAt > MAX_LATENESS) {
+          console.log(`Dropping schedule #${schedule.id} (${schedule.name}), missed by more than an hour`);
+          continue;
+        }
+      } else {
+        let cron;
+        try {
+          cron = parseCron(schedule.cron);
+        } catch (e) {
+          continue;
+        }
+        if (!cronMatches(cron, now) || schedule.lastRunMinute === minuteKey) {
+          continue;
+        }
+        schedule.lastRunMinute = minuteKey;
+        changed = true;
+      }
+
+      schedule.lastRunAt = now.getTime();
+      Promise.resolve()
+        .then(() => run(schedule))
+        .catch(error => console.error(`Schedule #${schedule.id} failed:`, error.message));
+    }
+
+    if (changed) {
+      persist();
+    }
+    start();
+  }
+
+  /**
+   * Arm the timer for the start of the next minute
+   */
+  function start() {
+    clearTimeout(timer);
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 100);
+  }
+
+  /**
+   * Add a schedule: { name, chatId, threadId, user, prompt } plus either cron or runAt (ms)
+   */
+  function add(fields) {
+    if (fields.cron) {
+      parseCron(fields.cron);
+    }
+    const schedule = { id: nextId++, ...fields, createdAt: Date.now(), lastRunAt: null };
+    if (!schedule.name) {
+      schedule.name = `#${schedule.id}`;
+    }
+    schedules.push(schedule);
+    persist();
+    return schedule;
+  }
+
+  /**
+   * Remove a schedule by ID; returns the removed schedule or null
+   */
+  function remove(id) {
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) {
+      return null;
+    }
+    schedules = schedules.filter(s => s !== schedule);
+    persist();
+    return schedule;
+  }
+
+  /**
+   * Next run time of a schedule, or null
+   */
+  function nextRun(schedule) {
+    if (schedule.runAt !== undefined && schedule.runAt !== null) {
+      return new Date(schedule.runAt);
+    }
+    try {
+      return nextCronRun(schedule.cron);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    add,
+    remove,
+    nextRun,
+    list: () => schedules.slice(),
+    start
+  };
+}
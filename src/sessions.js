@@ -0,0 +1,106 @@
+/**
+ * Claude Code session transcripts
+ *
+ * Claude Code keeps one JSONL transcript per session under
+ * ~/.claude/projects/<encoded cwd>/<sessionId>.jsonl, where the encoded cwd is
+ * the project path with every non-alphanumeric character replaced by "-".
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+
+const PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+// Only the head of a transcript is read when looking for the first prompt
+const HEAD_BYTES = 256 * 1024;
+
+/**
+ * Get the transcript directory Claude Code uses for a working directory
+ */
+export function getProjectDir(cwd) {
+  return path.join(PROJECTS_DIR, cwd.replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
+/**
+ * Extract the text of a user prompt entry (null for tool results and slash-command records)
+ */
+function getPromptText(entry) {
+  if (entry.type !== 'user' || entry.isMeta || !entry.message) {
+    return null;
+  }
+
+  let text = null;
+  if (typeof entry.message.content === 'string') {
+    text = entry.message.content;
+  } else if (Array.isArray(entry.message.content)) {
+    const block = entry.message.content.find(b => b.type === 'text' && b.text);
+    text = block ? block.text : null;
+  }
+
+  if (!text || /^\s*<(command-|local-command)/.test(text) || text.startsWith('Caveat:')) {
+    return null;
+  }
+  return text.trim();
+}
+
+/**
+ * Read the first user prompt of a transcript
+ */
+function readFirstPrompt(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEAD_BYTES, 0);
+    const lines = buffer.toString('utf-8', 0, bytesRead).split('\n');
+
+    // The last line may be cut off mid-entry; JSON.parse skips it below
+    for (const line of lines) {
+      try {
+        const text = getPromptText(JSON.parse(line));
+        if (text) {
+          return text;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+  } catch (e) {
+    // unreadable transcript
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+  return null;
+}
+
+/**
+ * List the sessions recorded for a working directory, most recent first.
+ * Returns { sessions: [{ sessionId, prompt, updatedAt }], total } for the requested page.
+ */
+export function listSessions(cwd, page = 0, pageSize = 6) {
+  const dir = getProjectDir(cwd);
+  if (!fs.existsSync(dir)) {
+    return { sessions: [], total: 0 };
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => {
+      const filePath = path.join(dir, name);
+      return { name, filePath, mtime: fs.statSync(filePath).mtimeMs };
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+
+  const sessions = files
+    .slice(page * pageSize, (page + 1) * pageSize)
+    .map(file => ({
+      sessionId: path.basename(file.name, '.jsonl'),
+      prompt: readFirstPrompt(file.filePath),
+      updatedAt: new Date(file.mtime)
+    }));
+
+  return { sessions, total: files.length };
+}
@@ -0,0 +1,291 @@
+/**
+ * Persistent bridge state
+ *
+ * Chat and pane selection, pane bindings, the polling offset, notification
+ * settings, held-back replies, the pane and session of sent replies, the
+ * session each pane is on, queued prompts, macros and schedules live in one
+ * versioned JSON file:
+ *   { "version": 3, "chatId": "...", "paneId": "...", "routes": [...], ... }
+ * Every write takes a lock file, re-reads the file if another process changed
+ * it, then writes a temporary file and renames it over the original, so the
+ * bridge and hook scripts can update it at the same time without losing
+ * writes or leaving half a file.
+ *
+ * On first start the older per-value files in the same directory
+ * (telegram_chat_id, telegram_pane_id, telegram_update_offset,
+ * telegram_routes.json, telegram_macros.json, telegram_schedules.json) are
+ * imported and renamed to *.migrated.
+ *
+ * The outbound queue stays in its own file: it holds whole attachments and is
+ * rewritten on every send, which would make every read of this file slow.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const STATE_VERSION = 3;
+
+// Values of a fresh state file
+const DEFAULT_STATE = {
+  chatId: null,
+  paneId: null,
+  updateOffset: 0,
+  routes: [],
+  notifications: { chats: {}, sessions: {} },
+  missedReplies: [],
+  fullReplies: [],
+  messageContexts: {},
+  paneSessions: {},
+  promptQueue: [],
+  macros: {},
+  schedules: []
+};
+
+// A lock older than this is left over from a crashed process
+const LOCK_STALE = 10 * 1000;
+const LOCK_TIMEOUT = 5 * 1000;
+const LOCK_RETRY_INTERVAL = 20;
+
+/**
+ * Read a legacy file, returning null if it is missing or unreadable
+ */
+function readLegacyFile(file, parse) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return parse(fs.readFileSync(file, 'utf-8').trim());
+  } catch (e) {
+    console.error(`Failed to read ${file}:`, e.message);
+    return null;
+  }
+}
+
+// Upgrades from each version to the next; index 0 upgrades version 0 (no state file) to 1
+const MIGRATIONS = [
+  (state, dir) => {
+    const legacy = {
+      chatId: [path.join(dir, 'telegram_chat_id'), text => text || null],
+      paneId: [path.join(dir, 'telegram_pane_id'), text => text || null],
+      updateOffset: [path.join(dir, 'telegram_update_offset'), text => parseInt(text, 10) || 0],
+      routes: [path.join(dir, 'telegram_routes.json'), text => JSON.parse(text)]
+    };
+    const imported = [];
+    for (const [key, [file, parse]] of Object.entries(legacy)) {
+      const value = readLegacyFile(file, parse);
+      if (value !== null) {
+        state[key] = value;
+        imported.push(file);
+      }
+    }
+    return imported;
+  },
+  // The global mute flag becomes a mute on every known chat
+  (state) => {
+    const chats = {};
+    if (state.muted) {
+      const keys = new Set(state.chatId ? [`${state.chatId}:`] : []);
+      for (const route of state.routes || []) {
+        keys.add(`${route.chatId}:${route.threadId || ''}`);
+      }
+      for (const key of keys) {
+        chats[key] = { muted: true, muteUntil: null };
+      }
+    }
+    delete state.muted;
+    state.notifications = { chats, sessions: {} };
+  },
+  // Macros and schedules move in from their own files
+  (state, dir) => {
+    const legacy = {
+      macros: path.join(dir, 'telegram_macros.json'),
+      schedules: path.join(dir, 'telegram_schedules.json')
+    };
+    const imported = [];
+    for (const [key, file] of Object.entries(legacy)) {
+      const value = readLegacyFile(file, text => JSON.parse(text));
+      if (value !== null) {
+        state[key] = value;
+        imported.push(file);
+      }
+    }
+    return imported;
+  }
+];
+
+/**
+ * Sleep synchronously; used only while waiting for the lock
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Create the state store for a file
+ */
+export function createStateStore({ file }) {
+  const lockFile = `${file}.lock`;
+  let state = { version: STATE_VERSION, ...structuredClone(DEFAULT_STATE) };
+  // mtime + size of the file as last read, to notice writes by other processes
+  let loadedStamp = null;
+
+  /**
+   * Identify the current version of the file on disk
+   */
+  function fileStamp() {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Re-read the file if another process changed it since the last read
+   */
+  function refresh() {
+    const stamp = fileStamp();
+    if (stamp === null || stamp === loadedStamp) {
+      return;
+    }
+    try {
+      const loaded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      state = { ...structuredClone(DEFAULT_STATE), ...loaded };
+      loadedStamp = stamp;
+    } catch (e) {
+      console.error('Failed to read state file, keeping previous state:', e.message);
+    }
+  }
+
+  /**
+   * Take the lock file, breaking it if its owner died without removing it
+   */
+  function lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    while (true) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') {
+          throw e;
+        }
+      }
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE) {
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (e) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockFile}`);
+      }
+      sleepSync(LOCK_RETRY_INTERVAL);
+    }
+  }
+
+  /**
+   * Release the lock file
+   */
+  function unlock() {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (e) {
+      // already gone (broken as stale by another process)
+    }
+  }
+
+  /**
+   * Write the state (write + rename so a crash never leaves half a file)
+   */
+  function persist() {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2), 'utf-8');
+    fs.renameSync(tmpFile, file);
+    loadedStamp = fileStamp();
+  }
+
+  /**
+   * Apply a change to the latest state under the lock and save it
+   */
+  function update(change) {
+    lock();
+    try {
+      refresh();
+      change(state);
+      persist();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Get a value (a copy, so callers cannot change the state by accident)
+   */
+  function get(key) {
+    refresh();
+    return structuredClone(state[key]);
+  }
+
+  /**
+   * Set a value and save it
+   */
+  function set(key, value) {
+    update(current => {
+      current[key] = structuredClone(value);
+    });
+  }
+
+  /**
+   * Load the file, creating or upgrading it if needed
+   */
+  function open() {
+    lock();
+    try {
+      let version = 0;
+      if (fileStamp() !== null) {
+        refresh();
+        if (loadedStamp === null) {
+          throw new Error(`State file ${file} is not valid JSON; fix or remove it`);
+        }
+        version = state.version || 0;
+      }
+      if (version > STATE_VERSION) {
+        throw new Error(`State file ${file} was written by a newer version (v${version})`);
+      }
+      if (version === STATE_VERSION) {
+        return;
+      }
+
+      const dir = path.dirname(file);
+      let migrated = [];
+      for (let v = version; v < STATE_VERSION; v++) {
+        migrated = migrated.concat(MIGRATIONS[v](state, dir) || []);
+      }
+      state.version = STATE_VERSION;
+      persist();
+      console.log(`State file ${file} upgraded to v${STATE_VERSION}`);
+
+      // Keep the imported files around under a new name in case of a downgrade
+      for (const legacyFile of migrated) {
+        fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+        console.log(`Migrated ${legacyFile}`);
+      }
+    } finally {
+      unlock();
+    }
+  }
+
+  open();
+
+  return {
+    get,
+    set,
+    update,
+    file,
+    version: () => state.version
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Terminal backends
+ *
+ * Every backend exposes the same interface:
+ *   name, displayName
+ *   listPanes()                 -> [{ id, title, cwd }]
+ *   sendText(paneId, text)      types literal text, no Enter
+ *   sendKeys(paneId, keys)      keys: Enter, Escape, Tab, Up, Down, Left, Right, CtrlC
+ *   captureText(paneId, lines)  visible screen, or the last `lines` scrollback lines
+ * Methods throw when the terminal cannot be reached.
+ */
+
+import wezterm from './wezterm.js';
+import tmux from './tmux.js';
+
+const BACKENDS = { wezterm, tmux };
+
+/**
+ * Get a terminal backend by name
+ */
+export function getTerminalBackend(name) {
+  const backend = BACKENDS[String(name).trim().toLowerCase()];
+  if (!backend) {
+    throw new Error(`Unknown terminal backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return backend;
+}
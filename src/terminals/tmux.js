@@ -0,0 +1,111 @@
+/**
+ * tmux terminal backend
+ *
+ * Talks to the default tmux server through `tmux list-panes`, `send-keys`
+ * and `capture-pane`. Pane IDs are tmux's `%N` IDs without the `%`, so
+ * `/setpane 3` works the same as with WezTerm.
+ */
+
+import { execFileSync } from 'node:child_process';
+
+// tmux key names for the named keys understood by sendKeys
+const KEY_NAMES = {
+  Enter: 'Enter',
+  Escape: 'Escape',
+  Tab: 'Tab',
+  Up: 'Up',
+  Down: 'Down',
+  Right: 'Right',
+  Left: 'Left',
+  CtrlC: 'C-c'
+};
+
+// Field separator for list-panes output (will not appear in titles or paths)
+const SEPARATOR = '\u001f';
+
+/**
+ * Run a tmux command and return its stdout
+ */
+function tmux(args) {
+  return execFileSync('tmux', args, {
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Convert a bridge pane ID into a tmux target
+ */
+function target(paneId) {
+  return `%${String(paneId).replace(/^%/, '')}`;
+}
+
+/**
+ * List panes as { id, title, cwd }
+ */
+function listPanes() {
+  const format = [
+    '#{pane_id}',
+    '#{session_name}:#{window_index}.#{pane_index}',
+    '#{pane_title}',
+    '#{pane_current_path}'
+  ].join(SEPARATOR);
+
+  return tmux(['list-panes', '-a', '-F', format])
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [id, location, title, cwd] = line.split(SEPARATOR);
+      return {
+        id: id.replace(/^%/, ''),
+        title: title ? `${location} ${title}` : location,
+        cwd: cwd || null
+      };
+    });
+}
+
+/**
+ * Type literal text into a pane (no trailing newline)
+ */
+function sendText(paneId, text) {
+  // "--" so text starting with "-" (e.g. a Markdown list item) is not read as a flag
+  tmux(['send-keys', '-t', target(paneId), '-l', '--', text]);
+}
+
+/**
+ * Send named keys (see KEY_NAMES) to a pane
+ */
+function sendKeys(paneId, keys) {
+  const names = keys.map(key => {
+    if (!(key in KEY_NAMES)) {
+      throw new Error(`Unsupported key: ${key}`);
+    }
+    return KEY_NAMES[key];
+  });
+  tmux(['send-keys', '-t', target(paneId), ...names]);
+}
+
+/**
+ * Capture pane text: the visible screen, or the last `lines` lines of scrollback
+ */
+function captureText(paneId, lines) {
+  const args = ['capture-pane', '-p', '-t', target(paneId)];
+  if (lines) {
+    args.push('-S', String(-lines));
+  }
+  const output = tmux(args);
+  if (!lines) {
+    return output;
+  }
+  // Scrollback capture also includes the visible screen; keep only the tail
+  return output.replace(/\s+$/, '').split('\n').slice(-lines).join('\n');
+}
+
+export default {
+  name: 'tmux',
+  displayName: 'tmux',
+  listPanes,
+  sendText,
+  sendKeys,
+  captureText
+};
@@ -0,0 +1,105 @@
+/**
+ * WezTerm terminal backend
+ *
+ * Talks to WezTerm through `wezterm cli`. Text is passed on stdin so no shell
+ * quoting (cmd, PowerShell or sh) is involved.
+ */
+
+import { execFileSync } from 'node:child_process';
+
+// Escape sequences for the named keys understood by sendKeys
+const KEY_SEQUENCES = {
+  Enter: '\r',
+  Escape: '\x1b',
+  Tab: '\t',
+  Up: '\x1b[A',
+  Down: '\x1b[B',
+  Right: '\x1b[C',
+  Left: '\x1b[D',
+  CtrlC: '\x03'
+};
+
+/**
+ * Run a wezterm cli subcommand and return its stdout
+ */
+function weztermCli(args, input) {
+  return execFileSync('wezterm', ['cli', ...args], {
+    encoding: 'utf-8',
+    input,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Convert WezTerm's file:// cwd URL into a local path
+ */
+function cwdFromUrl(cwd) {
+  if (!cwd) {
+    return null;
+  }
+  try {
+    const url = new URL(cwd);
+    const pathname = decodeURIComponent(url.pathname);
+    // file:///C:/Users/... -> C:/Users/...
+    return /^\/[A-Za-z]:/.test(pathname) ? pathname.slice(1) : pathname;
+  } catch (e) {
+    return cwd;
+  }
+}
+
+/**
+ * List panes as { id, title, cwd }
+ */
+function listPanes() {
+  const panes = JSON.parse(weztermCli(['list', '--format', 'json']));
+  return panes.map(p => ({
+    id: String(p.pane_id),
+    title: p.title || '',
+    cwd: cwdFromUrl(p.cwd)
+  }));
+}
+
+/**
+ * Type literal text into a pane (no paste brackets, no trailing newline)
+ */
+function sendText(paneId, text) {
+  weztermCli(['send-text', '--pane-id', String(paneId), '--no-paste'], text);
+}
+
+/**
+ * Send named keys (see KEY_SEQUENCES) to a pane
+ */
+function sendKeys(paneId, keys) {
+  const sequence = keys.map(key => {
+    if (!(key in KEY_SEQUENCES)) {
+      throw new Error(`Unsupported key: ${key}`);
+    }
+    return KEY_SEQUENCES[key];
+  }).join('');
+  sendText(paneId, sequence);
+}
+
+/**
+ * Capture pane text: the visible screen, or the last `lines` lines of scrollback
+ */
+function captureText(paneId, lines) {
+  const args = ['get-text', '--pane-id', String(paneId)];
+  if (lines) {
+    args.push('--start-line', String(-lines));
+  }
+  const output = weztermCli(args);
+  if (!lines) {
+    return output;
+  }
+  // Scrollback capture also includes the visible screen; keep only the tail
+  return output.replace(/\s+$/, '').split('\n').slice(-lines).join('\n');
+}
+
+export default {
+  name: 'wezterm',
+  displayName: 'WezTerm',
+  listPanes,
+  sendText,
+  sendKeys,
+  captureText
+};
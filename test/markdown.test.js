@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { markdownToTelegramHtml } from '../src/markdown.js';
+
+// Each fixture is a pair: name.md (Markdown in) and name.html (Telegram HTML out)
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'markdown');
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.md')).map(file => path.basename(file, '.md'));
+
+// Tags Telegram accepts in HTML messages
+const TELEGRAM_TAGS = new Set(['b', 'i', 'u', 's', 'a', 'code', 'pre', 'blockquote']);
+
+/**
+ * Check that every tag is one Telegram knows and that tags are closed in order;
+ * returns a list of problems (empty when the HTML is well-formed)
+ */
+function checkTagBalance(html) {
+  const problems = [];
+  const open = [];
+  for (const match of html.matchAll(/<(\/?)([a-z]+)(?:\s[^>]*)?>/g)) {
+    const [, closing, tag] = match;
+    if (!TELEGRAM_TAGS.has(tag)) {
+      problems.push(`unsupported tag <${tag}> at ${match.index}`);
+    } else if (!closing) {
+      open.push(tag);
+    } else if (open.pop() !== tag) {
+      problems.push(`</${tag}> at ${match.index} does not close the innermost open tag`);
+    }
+  }
+  if (open.length > 0) {
+    problems.push(`unclosed tags: ${open.join(', ')}`);
+  }
+  // Anything left after removing tags and entities must not contain markup characters
+  const text = html.replace(/<\/?[a-z]+(?:\s[^>]*)?>/g, '').replace(/&(amp|lt|gt|quot);/g, '');
+  if (/[<>&]/.test(text)) {
+    problems.push('unescaped <, > or & in text');
+  }
+  return problems;
+}
+
+for (const name of fixtures) {
+  test(`renders ${name}.md`, () => {
+    const markdown = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf-8');
+    const expected = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf-8').trimEnd();
+    assert.equal(markdownToTelegramHtml(markdown), expected);
+  });
+
+  test(`${name}.html has balanced Telegram tags`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf-8');
+    assert.deepEqual(checkTagBalance(html), []);
+  });
+}
+
+test('unclosed and stray markup still gives balanced tags', () => {
+  const inputs = [
+    '```js\nconst a = 1 < 2;',
+    '**bold *italic** text*',
+    '[label **bold](https://example.com) rest**',
+    '> quote with `code\n> and **bold',
+    '| a | b |\n|---|---|\n| <x> | & |',
+    '_a **b_ c** `d_ e`'
+  ];
+  for (const input of inputs) {
+    assert.deepEqual(checkTagBalance(markdownToTelegramHtml(input)), [], input);
+  }
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createOutbox } from '../src/outbox.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+let fileCount = 0;
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * A fresh queue file path for each test
+ */
+function queueFile() {
+  return path.join(tmpDir, `outbox-${++fileCount}.json`);
+}
+
+/**
+ * Wait until `predicate()` is true, failing after `timeout` ms
+ */
+async function waitFor(predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the outbox');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * A stubbed Bot API call that answers with `responses` in order and records when it was called
+ */
+function stubSend(responses) {
+  const calls = [];
+  const send = async (job) => {
+    calls.push({ job, at: Date.now() });
+    return responses[Math.min(calls.length, responses.length) - 1];
+  };
+  return { send, calls };
+}
+
+const SENT = { ok: true, result: { message_id: 42 } };
+
+test('retries a 5xx failure with backoff, then delivers', async () => {
+  const { send, calls } = stubSend([{ ok: false, error_code: 502, description: 'Bad Gateway' }, SENT]);
+  const sent = [];
+  const outbox = createOutbox({ file: queueFile(), send, onSent: (job, message) => sent.push(message) });
+
+  outbox.enqueue({ chatId: 1, method: 'sendMessage', body: { chat_id: 1, text: 'hi' } });
+  await waitFor(() => calls.length === 1 && outbox.list()[0]?.attempts === 1);
+
+  // The first retry waits 2 s plus up to 1 s of jitter
+  const [job] = outbox.list();
+  assert.equal(job.lastError, 'Bad Gateway');
+  const delay = job.nextAttemptAt - calls[0].at;
+  assert.ok(delay >= 2000 && delay <= 3100, `unexpected backoff ${delay} ms`);
+
+  await waitFor(() => sent.length === 1);
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].at - calls[0].at >= 2000);
+  assert.deepEqual(sent, [{ message_id: 42 }]);
+  assert.deepEqual(outbox.list(), []);
+});
+
+test('waits for retry_after on 429', async () => {
+  const tooMany = { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 1 } };
+  const { send, calls } = stubSend([tooMany, SENT]);
+  const outbox = createOutbox({ file: queueFile(), send });
+
+  outbox.enqueue({ chatId: 1, method: 'sendMessage', body: { chat_id: 1, text: 'hi' } });
+  await waitFor(() => calls.length === 1 && outbox.list()[0]?.attempts === 1);
+  assert.ok(outbox.list()[0].nextAttemptAt - calls[0].at >= 1000);
+
+  await waitFor(() => outbox.list().length === 0);
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].at - calls[0].at >= 1000, 'sent again before retry_after');
+  assert.ok(calls[1].at - calls[0].at < 2000, 'retry_after should replace the exponential backoff');
+});
+
+test('keeps queued messages across a restart', async () => {
+  const file = queueFile();
+
+  // The first process never gets an answer (e.g. it is killed mid-request)
+  const first = createOutbox({ file, send: () => new Promise(() => {}) });
+  first.enqueue({ chatId: 1, method: 'sendMessage', body: { chat_id: 1, text: 'one' } });
+  first.enqueue({ chatId: 1, method: 'sendMessage', body: { chat_id: 1, text: 'two' } });
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf-8')).length, 2);
+
+  const { send, calls } = stubSend([SENT]);
+  const second = createOutbox({ file, send });
+  assert.equal(second.list().length, 2);
+  second.start();
+
+  await waitFor(() => second.list().length === 0);
+  assert.deepEqual(calls.map(call => call.job.body.text), ['one', 'two']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), []);
+});